@@ -58,6 +58,7 @@ const Clutter = imports.gi.Clutter;
 const Cogl = imports.gi.Cogl;
 const GLib = imports.gi.GLib;
 const Gio = imports.gi.Gio;
+const GObject = imports.gi.GObject;
 const Gdk = imports.gi.Gdk;
 const Lang = imports.lang;
 const Mainloop = imports.mainloop;
@@ -67,6 +68,7 @@ const St = imports.gi.St;
 
 const Applet = imports.ui.applet;
 const AppletManager = imports.ui.appletManager;
+const CheckBox = imports.ui.checkBox;
 const DND = imports.ui.dnd;
 const Main = imports.ui.main;
 const PopupMenu = imports.ui.popupMenu;
@@ -76,7 +78,7 @@ const ModalDialog = imports.ui.modalDialog;
 const Tooltips = imports.ui.tooltips;
 const WindowUtils = imports.misc.windowUtils;
 
-const { calcAdaptiveRowCount, calcButtonWidth, calcLayoutMode, calcAdaptiveFontSize, calcAdaptiveIconSize, calcGroupedInsertionIndex, calcDragInsertionIndex, parsePinRules, matchPinRule, calcPinnedInsertionIndex, calcSortedButtonOrder, buildEditorRules, filterPinRule, calcRegroupTargetIndex } = require('./helpers');
+const { MAX_ROWS, calcAutoRowCount, calcMinRowHeight, calcButtonLayout, calcCollapsedGroups, calcLayoutMode, calcAdaptiveFontSize, calcAdaptiveIconSize, calcGroupedInsertionIndex, calcDragInsertionIndex, isSyntheticAppId, resolveStableAppId, resolveAppIdCandidates, migratePinRuleAppIds, TITLE_MATCH_MODES, parsePinRules, parsePinProfiles, switchPinProfile, validatePinRuleImport, buildPinRuleExport, calcPinRuleFileName, matchPinRule, calcPinPreview, calcLauncherRules, calcPinnedInsertionIndex, calcPinnedZones, calcPinReorder, calcSortedButtonOrder, buildEditorRules, filterPinRule, parseTitleRewriteRules, applyTitleRewrites, buildWindowLabel, calcDistinctiveTitles, parseAppOverrides, setAppOverride, calcRegroupTargetIndex, calcTitleHashes, parseSavedWindowOrder, matchSavedWindowOrder, calcRestoredInsertionIndex, mergeSavedWindowOrder, createCoalescedTask } = require('./helpers');
 
 const Gettext = imports.gettext;
 const UUID = "multirow-window-list@science";
@@ -94,12 +96,28 @@ function _(text) {
 }
 
 const MAX_TEXT_LENGTH = 1000;
+const ELLIPSIZE_MODES = {
+    'start': Pango.EllipsizeMode.START,
+    'middle': Pango.EllipsizeMode.MIDDLE,
+    'end': Pango.EllipsizeMode.END
+};
 const FLASH_INTERVAL = 500;
 const FLASH_MAX_COUNT = 4;
 
 const WINDOW_PREVIEW_WIDTH = 200;
 const WINDOW_PREVIEW_HEIGHT = 150;
 
+// Below this content width (px) labels are dropped and buttons go icon-only
+const ICON_ONLY_THRESHOLD = 50;
+// Smallest content height (px) a button may shrink to on a vertical panel
+const MIN_VERTICAL_BUTTON_HEIGHT = 16;
+// Narrowest content width (px) that still keeps labels readable in overflow mode
+const OVERFLOW_MIN_WIDTH = 80;
+// Session restore reopens windows over several seconds, slower apps last.
+// The saved order is restored until no window has taken a slot for this
+// long (s), or until every slot is taken
+const RESTORE_ORDER_QUIET_SECONDS = 30;
+
 class WindowPreview extends Tooltips.TooltipBase {
     constructor(item, metaWindow, previewScale, showLabel) {
         super(item.actor);
@@ -295,6 +313,13 @@ class AppMenuButton {
         this._applet = applet;
         this.metaWindow = metaWindow;
         this.transient = transient;
+        // The matched pin rule; the applet keeps it current
+        this._pinRule = null;
+        // Slot in the saved order this window was restored to, or -1
+        this._savedSlot = -1;
+        // Smart-truncated title part, shared out by _getDistinctiveTitle
+        this._distinctive = null;
+        this.updateIdentity();
 
         let initially_urgent = transient || metaWindow.demands_attention || metaWindow.urgent;
         this.drawLabel = false;
@@ -302,6 +327,7 @@ class AppMenuButton {
         this._signals = new SignalManager.SignalManager();
         this.xid = metaWindow.get_xwindow();
         this._flashTimer = null;
+        this._packedWidth = null;
 
         if (this._applet.orientation == St.Side.TOP)
             this.actor.add_style_class_name('top');
@@ -413,9 +439,11 @@ class AppMenuButton {
         if (initially_urgent)
             this.getAttention();
 
-        this._signals.connect(this.metaWindow, 'notify::title', this.setDisplayTitle, this);
+        this._signals.connect(this.metaWindow, 'notify::title', this._onTitleChanged, this);
         this._signals.connect(this.metaWindow, "notify::minimized", this.setDisplayTitle, this);
         this._signals.connect(this.metaWindow, "notify::tile-mode", this.setDisplayTitle, this);
+        this._signals.connect(this.metaWindow, "notify::maximized-horizontally", this.updateLabelText, this);
+        this._signals.connect(this.metaWindow, "notify::maximized-vertically", this.updateLabelText, this);
         this._signals.connect(this.metaWindow, "notify::icon", this.setIcon, this);
         this._signals.connect(this.metaWindow, "notify::appears-focused", this.onFocus, this);
         this._signals.connect(this.metaWindow, "unmanaged", this.onUnmanaged, this);
@@ -424,7 +452,7 @@ class AppMenuButton {
     onUnmanaged() {
         this.destroy();
         this._windows.splice(this._windows.indexOf(this), 1);
-        this._applet._recomputeAdaptiveRows();
+        this._applet._queueRecomputeAdaptiveRows();
     }
 
     onPreviewChanged() {
@@ -442,7 +470,7 @@ class AppMenuButton {
     onPanelEditModeChanged() {
         let editMode = global.settings.get_boolean("panel-edit-mode");
         if (this._draggable)
-            this._draggable.inhibit = editMode || (this._pinPriority !== null && this._pinPriority !== undefined);
+            this._draggable.inhibit = editMode;
         this.actor.reactive = !editMode;
     }
 
@@ -467,7 +495,7 @@ class AppMenuButton {
         // Find the current focused window
         let windows = this.actor.get_parent().get_children()
         .filter(function(item) {
-            return item.visible;
+            return item.visible && item._delegate instanceof AppMenuButton;
         }).map(function(item) {
             return item._delegate;
         });
@@ -504,7 +532,12 @@ class AppMenuButton {
                 this._draggable._overrideY = this.actor.get_transformed_position()[1];
             }
         } else {
-            this._draggable._overrideX = this.actor.get_transformed_position()[0];
+            if (this._applet._computedColumns > 1) {
+                // Multi-column: allow horizontal movement so cursor X reaches all columns
+                this._draggable._overrideX = null;
+            } else {
+                this._draggable._overrideX = this.actor.get_transformed_position()[0];
+            }
             this._draggable._overrideY = null;
         }
 
@@ -555,6 +588,27 @@ class AppMenuButton {
         return false;
     }
 
+    /* Resolve the app id, its pin rule candidates and WM_CLASS once, so
+     * layout and pin code need not query the tracker for every button.
+     * Refreshed on window-app-changed and notify::title. */
+    updateIdentity() {
+        let app = Cinnamon.WindowTracker.get_default().get_window_app(this.metaWindow);
+        let rawId = app ? app.get_id() : null;
+        let oldAppId = this.appId;
+        this.wmClass = this.metaWindow.get_wm_class();
+        this.appIdCandidates = resolveAppIdCandidates(rawId, this.wmClass);
+        this.appId = this.appIdCandidates[0];
+        // The app group this window left loses a title
+        if (oldAppId !== undefined && oldAppId !== this.appId)
+            this._applet._updateAppLabels(oldAppId, this);
+    }
+
+    _onTitleChanged() {
+        // Apps such as Electron ones set WM_CLASS late, around their first title
+        this.updateIdentity();
+        this.setDisplayTitle();
+    }
+
     setDisplayTitle() {
         let title   = this.metaWindow.get_title();
         let tracker = Cinnamon.WindowTracker.get_default();
@@ -571,22 +625,83 @@ class AppMenuButton {
         if (title.length > MAX_TEXT_LENGTH)
             title = title.substr(0, MAX_TEXT_LENGTH);
 
+        this._title = title;
+
         if (this._tooltip && this._applet.windowHover != "nothing" && this._tooltip.set_text)
             this._tooltip.set_text(title);
 
-        if (this.metaWindow.minimized) {
-            title = "["+ title +"]";
-        } else if (this.metaWindow.tile_mode != Meta.TileMode.NONE && this.metaWindow.tile_mode != Meta.TileMode.MAXIMIZED) {
-            title = "|"+ title;
-        }
-
-        this._label.set_text(title);
+        // Smart truncation depends on the other titles in the app group
+        this._applet._updateAppLabels(this.appId, this);
+        this.updateLabelText();
 
         if (this._applet._parsedPinRules && this._applet._parsedPinRules.length > 0) {
             this._applet._onWindowTitleChanged(this);
         }
     }
 
+    /* Fill the label format from the title and window state. Rewrites and
+     * formats shape the label only; the tooltip and preview keep the full
+     * title. The compact format takes over once rows shrink the buttons. */
+    updateLabelText() {
+        let applet = this._applet;
+        let mw = this.metaWindow;
+        let title = this.getRewrittenTitle();
+        this._labelMode = applet._getLayoutMode();
+        if (this._labelMode === 'compact' && applet.compactEllipsize === 'smart') {
+            let distinctive = applet._getDistinctiveTitle(this);
+            title = distinctive.part;
+            this._smartEllipsize = distinctive.ellipsize;
+        }
+
+        let state = '';
+        if (mw.minimized)
+            state = 'minimized';
+        else if (mw.tile_mode != Meta.TileMode.NONE && mw.tile_mode != Meta.TileMode.MAXIMIZED)
+            state = 'tiled';
+        else if (mw.get_maximized() === Meta.MaximizeFlags.BOTH)
+            state = 'maximized';
+
+        let app = Cinnamon.WindowTracker.get_default().get_window_app(mw);
+        let workspace = mw.is_on_all_workspaces() ? null : mw.get_workspace();
+        let workspaceIndex = workspace ? workspace.index() : -1;
+        let values = {
+            title: title,
+            app: app ? app.get_name() : mw.get_wm_class(),
+            workspace: workspaceIndex >= 0 ? workspaceIndex + 1 : null,
+            'workspace-name': workspaceIndex < 0 ? null : (Main.workspace_names[workspaceIndex]
+                ? Main.workspace_names[workspaceIndex] : Main._makeDefaultWorkspaceName(workspaceIndex)),
+            monitor: mw.get_monitor() + 1,
+            pid: mw.get_pid() > 0 ? mw.get_pid() : null,
+            state: state
+        };
+
+        let format = (this._labelMode === 'compact' && applet.labelFormatCompact)
+            ? applet.labelFormatCompact : applet.labelFormat;
+        let label = buildWindowLabel({ label: format, minimized: applet.labelMinimizedFormat,
+            tiled: applet.labelTiledFormat }, values);
+        if (label.length > MAX_TEXT_LENGTH)
+            label = label.substr(0, MAX_TEXT_LENGTH);
+        this._label.set_text(label);
+        if (this._labelMode === 'compact')
+            this._label.get_clutter_text().set_ellipsize(this._getCompactEllipsize());
+        // Variable-width buttons follow their label, so the rows need repacking
+        if (applet.variableWidth)
+            applet._queueRecomputeAdaptiveRows();
+    }
+
+    getRewrittenTitle() {
+        let rewrites = this._applet._titleRewrites;
+        if (rewrites.length === 0) return this._title;
+        return applyTitleRewrites(rewrites, this.appIdCandidates, this._title);
+    }
+
+    // Compact labels never wrap; smart mode uses the side calcDistinctiveTitles picked
+    _getCompactEllipsize() {
+        let mode = this._applet.compactEllipsize;
+        if (mode === 'smart') mode = this._smartEllipsize || 'end';
+        return ELLIPSIZE_MODES[mode] || Pango.EllipsizeMode.END;
+    }
+
     destroy() {
         if (this._pinDebounceTimer) {
             Mainloop.source_remove(this._pinDebounceTimer);
@@ -709,21 +824,34 @@ class AppMenuButton {
         if (this._applet.orientation == St.Side.TOP || this._applet.orientation == St.Side.BOTTOM ) {
         // the 'buttons use entire space' option only makes sense on horizontal panels with labels
             if (this.labelVisiblePref) {
+                // The pinned row has its own button width
+                let slotWidth = this._applet._isInPinnedRow(this)
+                    ? this._applet._pinnedRowWidth : this._applet._effectiveButtonWidth;
                 if (this._applet.buttonsUseEntireSpace) {
-                    let [lminSize, lnaturalSize] = this._label.get_preferred_width(forHeight);
-                    let spacing = this.actor.get_theme_node().get_length('spacing');
-                    alloc.natural_size = Math.max(this._applet._effectiveButtonWidth * global.ui_scale,
-                            naturalSize + spacing + lnaturalSize);
+                    alloc.natural_size = Math.max(slotWidth * global.ui_scale, this.getContentWidth());
+                } else if (this._packedWidth !== null) {
+                    // Variable-width mode: the width the layout packed this title to
+                    alloc.natural_size = this._packedWidth * global.ui_scale;
                 } else {
                     alloc.natural_size = Math.min(
-                        this._applet._effectiveButtonWidth * global.ui_scale,
-                        this._applet.buttonWidth * global.ui_scale);
+                        slotWidth * global.ui_scale,
+                        this._applet.buttonWidth * global.ui_scale) * this._applet._getWidthScale(this);
                 }
             } else {
                 alloc.natural_size = naturalSize
             }
         } else {
-            alloc.natural_size = this._applet._panelHeight;
+            /* Vertical panel: split the panel thickness into columns. Same
+             * box-model bookkeeping as _getPreferredHeight on horizontal
+             * panels: content = targetColumn - margin - border - padding. */
+            let tn = actor.get_theme_node();
+            let hOverhead = tn.get_horizontal_padding()
+                + tn.get_border_width(1) + tn.get_border_width(3);
+            let hMargin = tn.get_length('margin-left')
+                + tn.get_length('margin-right');
+            let targetColumn = Math.floor(
+                this._applet._panelHeight / this._applet._computedColumns);
+            alloc.natural_size = Math.max(alloc.min_size, targetColumn - hOverhead - hMargin);
         }
     }
 
@@ -754,6 +882,9 @@ class AppMenuButton {
                 this._applet._panelHeight / this._applet._computedRows);
             alloc.natural_size = targetRow - vOverhead - vMargin;
             alloc.min_size = Math.min(alloc.min_size, alloc.natural_size);
+        } else if (this._applet._effectiveButtonHeight > 0) {
+            alloc.natural_size = this._applet._effectiveButtonHeight;
+            alloc.min_size = Math.min(alloc.min_size, alloc.natural_size);
         } else {
             alloc.natural_size = naturalSize1;
         }
@@ -769,7 +900,7 @@ class AppMenuButton {
 
         let direction = this.actor.get_text_direction();
         let spacing = Math.floor(this.actor.get_theme_node().get_length('spacing'));
-        let mode = calcLayoutMode(this._applet._computedRows);
+        let mode = this._applet._getLayoutMode();
 
         if (allocWidth < naturalWidth) {
             this.labelVisible = false;
@@ -858,8 +989,23 @@ class AppMenuButton {
         this.progressOverlay.set_clip(0, 0, clip_width, this.actor.height);
     }
 
+    // Whether the label is set to show; icon-only mode may still hide it
+    wantsLabel() {
+        let override = this._applet._getAppOverride(this.appId);
+        return override && override.label !== null ? override.label : this._applet.showLabelPanel;
+    }
+
+    // Width of the icon and the whole title side by side
+    getContentWidth() {
+        let [, iconWidth] = this._iconBox.get_preferred_width(-1);
+        let [, labelWidth] = this._label.get_preferred_width(-1);
+        return iconWidth + this.actor.get_theme_node().get_length('spacing') + labelWidth;
+    }
+
     updateLabelVisible() {
-        if (this._applet.showLabelPanel && !this._applet._iconOnlyMode) {
+        // The pinned row has its own width, so its buttons keep their labels
+        let iconOnly = this._applet._iconOnlyMode && !this._applet._isInPinnedRow(this);
+        if (this.wantsLabel() && !iconOnly) {
             this._label.show();
             this.labelVisiblePref = true;
             this.drawLabel = true;
@@ -872,10 +1018,10 @@ class AppMenuButton {
 
     _setupLabelWrapping() {
         let ct = this._label.get_clutter_text();
-        let mode = calcLayoutMode(this._applet._computedRows);
+        let mode = this._applet._getLayoutMode();
         if (mode === 'compact') {
             ct.set_line_wrap(false);
-            ct.set_ellipsize(Pango.EllipsizeMode.END);
+            ct.set_ellipsize(this._getCompactEllipsize());
         } else {
             ct.set_line_wrap(this._applet.labelWrap);
             // Ellipsize must be NONE for ClutterText wrapping to work
@@ -900,10 +1046,12 @@ class AppMenuButton {
         this._label.set_style(style);
 
         let ct = this._label.get_clutter_text();
-        let mode = calcLayoutMode(this._applet._computedRows);
+        let mode = this._applet._getLayoutMode();
+        if (this._labelMode !== undefined && mode !== this._labelMode)
+            this.updateLabelText();
         if (mode === 'compact') {
             ct.set_line_wrap(false);
-            ct.set_ellipsize(Pango.EllipsizeMode.END);
+            ct.set_ellipsize(this._getCompactEllipsize());
         } else {
             ct.set_line_wrap(this._applet.labelWrap);
             ct.set_ellipsize(this._applet.labelWrap ? Pango.EllipsizeMode.NONE : Pango.EllipsizeMode.END);
@@ -916,11 +1064,14 @@ class AppMenuButton {
 
         this.icon_size = this._applet.icon_size;
 
-        let icon = app ?
-            app.create_icon_texture_for_window(this.icon_size, this.metaWindow) :
-            new St.Icon({ icon_name: 'application-default-icon',
-                icon_type: St.IconType.FULLCOLOR,
-                icon_size: this.icon_size });
+        let icon = this._applet._getOverrideIcon(this.appId, this.icon_size);
+        if (!icon) {
+            icon = app ?
+                app.create_icon_texture_for_window(this.icon_size, this.metaWindow) :
+                new St.Icon({ icon_name: 'application-default-icon',
+                    icon_type: St.IconType.FULLCOLOR,
+                    icon_size: this.icon_size });
+        }
 
         let old_child = this._iconBox.get_child();
         this._iconBox.set_child(icon);
@@ -1133,13 +1284,58 @@ class AppMenuButtonRightClickMenu extends Applet.AppletPopupMenu {
         }
         this.addMenuItem(item);
 
-        // Edit all pin rules (only if rules exist)
-        if (this._launcher._applet._rawPinRules && this._launcher._applet._rawPinRules.length > 0) {
-            item = new PopupMenu.PopupMenuItem(_("Edit pin rules\u2026"));
-            this._signals.connect(item, 'activate', Lang.bind(this, function() {
-                this._launcher._applet._showPinRulesEditor();
-            }));
-            this.addMenuItem(item);
+        // Edit all pin rules (also the way into profile import/export)
+        item = new PopupMenu.PopupMenuItem(_("Edit pin rules\u2026"));
+        this._signals.connect(item, 'activate', Lang.bind(this, function() {
+            this._launcher._applet._showPinRulesEditor();
+        }));
+        this.addMenuItem(item);
+
+        item = new PopupMenu.PopupMenuItem(_("Edit title rewrites\u2026"));
+        this._signals.connect(item, 'activate', Lang.bind(this, function() {
+            this._launcher._applet._showTitleRewriteEditor(this._launcher);
+        }));
+        this.addMenuItem(item);
+
+        let applet = this._launcher._applet;
+
+        // Per-app overrides, keyed on this window's app id
+        let appId = this._launcher.appId;
+        let override = applet._getAppOverride(appId);
+        let appMenu = new PopupMenu.PopupSubMenuMenuItem(_("Buttons of this app"));
+        let showLabel = override && override.label !== null ? override.label : applet.showLabelPanel;
+        let labelItem = new PopupMenu.PopupSwitchMenuItem(_("Show label"), showLabel);
+        this._signals.connect(labelItem, 'toggled', (item, state) => {
+            // Matching the panel-wide setting needs no override
+            applet._setAppOverride(appId, 'label', state === applet.showLabelPanel ? null : state);
+        });
+        appMenu.menu.addMenuItem(labelItem);
+        let widths = [[1, _("Normal width")], [1.5, _("One and a half width")], [2, _("Double width")], [3, _("Triple width")]];
+        let currentWidth = override && override.width !== null ? override.width : 1;
+        for (let [scale, label] of widths) {
+            let widthItem = new PopupMenu.PopupMenuItem(label);
+            if (scale === currentWidth)
+                widthItem.setOrnament(PopupMenu.OrnamentType.DOT, true);
+            this._signals.connect(widthItem, 'activate', () => applet._setAppOverride(appId, 'width', scale === 1 ? null : scale));
+            appMenu.menu.addMenuItem(widthItem);
+        }
+        let iconItem = new PopupMenu.PopupMenuItem(_("Choose icon\u2026"));
+        this._signals.connect(iconItem, 'activate', () => applet._showAppIconDialog(appId));
+        appMenu.menu.addMenuItem(iconItem);
+        this.addMenuItem(appMenu);
+
+        // Pin profile switcher (only once there is more than one profile)
+        let profileNames = applet._getPinProfileNames();
+        if (profileNames.length > 1) {
+            let profileMenu = new PopupMenu.PopupSubMenuMenuItem(_("Pin profile"));
+            for (let name of profileNames) {
+                let profileItem = new PopupMenu.PopupMenuItem(name);
+                if (name === applet.activePinProfile)
+                    profileItem.setOrnament(PopupMenu.OrnamentType.DOT, true);
+                this._signals.connect(profileItem, 'activate', () => applet._switchPinProfile(name));
+                profileMenu.menu.addMenuItem(profileItem);
+            }
+            this.addMenuItem(profileMenu);
         }
 
         this.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
@@ -1168,6 +1364,361 @@ class AppMenuButtonRightClickMenu extends Applet.AppletPopupMenu {
     }
 }
 
+/* Trailing "+N more" button used by the "overflow" overflow mode. Windows that
+ * no longer fit within max-rows are hidden from the list and offered in this
+ * button's popup menu instead, with their icon, title and workspace. */
+class OverflowButton {
+    constructor(applet) {
+        this._applet = applet;
+        this._signals = new SignalManager.SignalManager();
+
+        this.actor = new Cinnamon.GenericContainer({
+            name: 'appMenuOverflow',
+            style_class: 'window-list-item-box',
+            reactive: true,
+            can_focus: true,
+            track_hover: true });
+        this.actor._delegate = this;
+
+        if (this._applet.orientation == St.Side.TOP)
+            this.actor.add_style_class_name('top');
+        else if (this._applet.orientation == St.Side.BOTTOM)
+            this.actor.add_style_class_name('bottom');
+        else if (this._applet.orientation == St.Side.LEFT)
+            this.actor.add_style_class_name('left');
+        else if (this._applet.orientation == St.Side.RIGHT)
+            this.actor.add_style_class_name('right');
+
+        this._label = new St.Label();
+        this.actor.add_actor(this._label);
+
+        this._signals.connect(this.actor, 'get-preferred-width', Lang.bind(this, this._getPreferredWidth));
+        this._signals.connect(this.actor, 'get-preferred-height', Lang.bind(this, this._getPreferredHeight));
+        this._signals.connect(this.actor, 'allocate', Lang.bind(this, this._allocate));
+        this._signals.connect(this.actor, 'button-release-event', Lang.bind(this, this._onButtonRelease));
+
+        this._menuManager = new PopupMenu.PopupMenuManager(this);
+        this.menu = new Applet.AppletPopupMenu(this, this._applet.orientation);
+        this._menuManager.addMenu(this.menu);
+        this._signals.connect(this.menu, 'open-state-changed', (menu, isOpen) => {
+            this._applet._menuOpen = isOpen;
+        });
+    }
+
+    setCount(count) {
+        this._label.set_text(_("+%d more").format(count));
+    }
+
+    // calcButtonLayout gives the "+N more" button a window-button slot and
+    // ButtonCellsLayout allocates it there, so nothing sizes the cell from
+    // this; report only what the label needs.
+    _getPreferredWidth(actor, forHeight, alloc) {
+        let [minSize, naturalSize] = this._label.get_preferred_width(forHeight);
+        alloc.min_size = 1 * global.ui_scale;
+        alloc.natural_size = naturalSize;
+    }
+
+    _getPreferredHeight(actor, forWidth, alloc) {
+        let [minSize, naturalSize] = this._label.get_preferred_height(forWidth);
+        alloc.min_size = Math.min(minSize, naturalSize);
+        alloc.natural_size = naturalSize;
+    }
+
+    _allocate(actor, box, flags) {
+        let [minWidth, minHeight, naturalWidth, naturalHeight] = this._label.get_preferred_size();
+        let allocWidth = box.x2 - box.x1;
+        let allocHeight = box.y2 - box.y1;
+        let childBox = new Clutter.ActorBox();
+        let width = Math.min(naturalWidth, allocWidth);
+        let height = Math.min(naturalHeight, allocHeight);
+        childBox.x1 = box.x1 + Math.floor((allocWidth - width) / 2);
+        childBox.x2 = childBox.x1 + width;
+        childBox.y1 = box.y1 + Math.floor((allocHeight - height) / 2);
+        childBox.y2 = childBox.y1 + height;
+        this._label.allocate(childBox, flags);
+    }
+
+    _onButtonRelease(actor, event) {
+        if (event.get_button() != 1)
+            return false;
+        if (!this.menu.isOpen)
+            this._populateMenu();
+        this.menu.toggle();
+        return true;
+    }
+
+    // Window buttons listed in the popup menu
+    _getMenuWindows() {
+        return this._applet._windows.filter(window => window._overflowed);
+    }
+
+    _populateMenu() {
+        this.menu.removeAll();
+        let tracker = Cinnamon.WindowTracker.get_default();
+        for (let window of this._getMenuWindows()) {
+            let mw = window.metaWindow;
+            let app = tracker.get_window_app(mw);
+            let item = new PopupMenu.PopupBaseMenuItem();
+
+            let icon = app ?
+                app.create_icon_texture_for_window(16, mw) :
+                new St.Icon({ icon_name: 'application-default-icon',
+                    icon_type: St.IconType.FULLCOLOR,
+                    icon_size: 16 });
+            item.addActor(icon);
+            item.addActor(new St.Label({ text: window._title || '' }), { expand: true });
+
+            if (!mw.is_on_all_workspaces() && mw.get_workspace()) {
+                let index = mw.get_workspace().index();
+                let name = Main.workspace_names[index] ? Main.workspace_names[index] : Main._makeDefaultWorkspaceName(index);
+                let wsLabel = new St.Label({ text: name });
+                wsLabel.style = 'color: #888; padding-left: 12px;';
+                item.addActor(wsLabel, { align: St.Align.END });
+            }
+
+            this._signals.connect(item, 'activate', function() {
+                Main.activateWindow(mw, global.get_current_time());
+            });
+            this.menu.addMenuItem(item);
+        }
+    }
+
+    destroy() {
+        this._signals.disconnectAllSignals();
+        this.menu.destroy();
+        this._menuManager.destroy();
+        this.actor.destroy();
+    }
+}
+
+/* Layout manager for the window list in every orientation and mode. The
+ * applet lays the buttons out with calcButtonLayout once per reflow; this
+ * only allocates each child the cell it got there and reports the size of
+ * the whole layout. A child the last reflow did not see (or children in a
+ * new order) queues another reflow and stays unallocated until then. */
+const ButtonCellsLayout = GObject.registerClass(
+class ButtonCellsLayout extends Clutter.LayoutManager {
+    _init(applet) {
+        super._init();
+        this._applet = applet;
+    }
+
+    vfunc_get_preferred_width(container, forHeight) {
+        let layout = this._applet._layout;
+        return [0, layout ? layout.naturalWidth : 0];
+    }
+
+    vfunc_get_preferred_height(container, forWidth) {
+        let layout = this._applet._layout;
+        return [0, layout ? layout.naturalHeight : 0];
+    }
+
+    vfunc_allocate(container, box, flags) {
+        let children = container.get_children().filter(child => child.visible);
+        let cells = this._applet._getLayoutCells(children);
+        let childBox = new Clutter.ActorBox();
+        for (let i = 0; i < children.length; i++) {
+            let cell = cells[i] || { x: 0, y: 0, width: 0, height: 0 };
+            childBox.x1 = box.x1 + cell.x;
+            childBox.x2 = childBox.x1 + cell.width;
+            childBox.y1 = box.y1 + cell.y;
+            childBox.y2 = childBox.y1 + cell.height;
+            children[i].allocate(childBox, flags);
+        }
+    }
+});
+
+/* Stands in for the windows of an app that has more than collapse-threshold
+ * windows: app icon, app name and a window-count badge. Clicking it opens the
+ * same window menu as the overflow button, limited to the app's windows. */
+class GroupButton extends OverflowButton {
+    // app is passed in rather than looked up by id: wmclass: ids have no
+    // .desktop entry in the AppSystem
+    constructor(applet, appId, app) {
+        super(applet);
+        this.appId = appId;
+        this._app = app;
+        this.actor.name = 'appMenuGroup';
+
+        this._iconBox = new St.Bin();
+        this.actor.insert_child_at_index(this._iconBox, 0);
+
+        this._badge = new St.Label();
+        this._badge.style = 'font-size: 0.8em; font-weight: bold; padding: 0 4px; border-radius: 8px; background-color: rgba(255,255,255,0.2);';
+        this.actor.add_actor(this._badge);
+
+        this._label.set_text(app ? app.get_name() : appId.replace(/^wmclass:/, ''));
+        let ct = this._label.get_clutter_text();
+        ct.set_line_wrap(false);
+        ct.set_ellipsize(Pango.EllipsizeMode.END);
+        this.setIcon();
+    }
+
+    setIcon() {
+        let app = this._app;
+        let icon = this._applet._getOverrideIcon(this.appId, this._applet.icon_size);
+        if (!icon) {
+            icon = app ?
+                app.create_icon_texture(this._applet.icon_size) :
+                new St.Icon({ icon_name: 'application-default-icon',
+                    icon_type: St.IconType.FULLCOLOR,
+                    icon_size: this._applet.icon_size });
+        }
+        let old_child = this._iconBox.get_child();
+        this._iconBox.set_child(icon);
+        if (old_child)
+            old_child.destroy();
+    }
+
+    setCount(count) {
+        this._badge.set_text(count.toString());
+    }
+
+    _getMenuWindows() {
+        return this._applet._windows.filter(window => window._collapsedInto === this);
+    }
+
+    _getPreferredWidth(actor, forHeight, alloc) {
+        let [, iconWidth] = this._iconBox.get_preferred_width(forHeight);
+        let [, badgeWidth] = this._badge.get_preferred_width(forHeight);
+        alloc.min_size = 1 * global.ui_scale;
+        alloc.natural_size = iconWidth + badgeWidth;
+    }
+
+    _getPreferredHeight(actor, forWidth, alloc) {
+        let [minSize, naturalSize] = this._iconBox.get_preferred_height(forWidth);
+        alloc.min_size = Math.min(minSize, naturalSize);
+        alloc.natural_size = naturalSize;
+    }
+
+    // Icon on the left, badge on the right, app name ellipsized in between
+    _allocate(actor, box, flags) {
+        let allocHeight = box.y2 - box.y1;
+        let spacing = Math.floor(this.actor.get_theme_node().get_length('spacing'));
+        let iconPad = 2;
+        let childBox = new Clutter.ActorBox();
+
+        let [, , iconWidth, iconHeight] = this._iconBox.get_preferred_size();
+        childBox.x1 = box.x1 + iconPad;
+        childBox.x2 = Math.min(childBox.x1 + iconWidth, box.x2);
+        childBox.y1 = box.y1 + Math.floor(Math.max(0, allocHeight - iconHeight) / 2);
+        childBox.y2 = childBox.y1 + Math.min(iconHeight, allocHeight);
+        this._iconBox.allocate(childBox, flags);
+        let labelX = childBox.x2 + spacing;
+
+        let [, , badgeWidth, badgeHeight] = this._badge.get_preferred_size();
+        childBox.x2 = box.x2 - iconPad;
+        childBox.x1 = Math.max(labelX, childBox.x2 - badgeWidth);
+        childBox.y1 = box.y1 + Math.floor(Math.max(0, allocHeight - badgeHeight) / 2);
+        childBox.y2 = childBox.y1 + Math.min(badgeHeight, allocHeight);
+        this._badge.allocate(childBox, flags);
+        let badgeX = childBox.x1;
+
+        let [, , , labelHeight] = this._label.get_preferred_size();
+        childBox.x1 = labelX;
+        childBox.x2 = Math.max(labelX, badgeX - spacing);
+        childBox.y1 = box.y1 + Math.floor(Math.max(0, allocHeight - labelHeight) / 2);
+        childBox.y2 = childBox.y1 + Math.min(labelHeight, allocHeight);
+        this._label.allocate(childBox, flags);
+    }
+}
+
+/* Holds the slot of a launcher pin rule while no window matches it: app icon
+ * and name, click to start the app. The applet destroys it as soon as a
+ * matching window is added, and that window takes the slot. */
+class LauncherButton extends OverflowButton {
+    constructor(applet, rule, app) {
+        super(applet);
+        this.appId = rule.appId;
+        this._pinPriority = rule.priority;
+        this._pinAnchor = rule.anchor;
+        this._app = app;
+        this.actor.name = 'appMenuLauncher';
+
+        this._iconBox = new St.Bin();
+        this.actor.insert_child_at_index(this._iconBox, 0);
+
+        this._label.set_text(app.get_name());
+        let ct = this._label.get_clutter_text();
+        ct.set_line_wrap(false);
+        ct.set_ellipsize(Pango.EllipsizeMode.END);
+        this.actor.opacity = 160;
+        this.setIcon();
+    }
+
+    setIcon() {
+        let icon = this._applet._getOverrideIcon(this.appId, this._applet.icon_size)
+            || this._app.create_icon_texture(this._applet.icon_size);
+        let old_child = this._iconBox.get_child();
+        this._iconBox.set_child(icon);
+        if (old_child)
+            old_child.destroy();
+    }
+
+    _onButtonRelease(actor, event) {
+        let button = event.get_button();
+        if (button == 1) {
+            this._app.open_new_window(-1);
+            return true;
+        }
+        if (button == 3) {
+            if (!this.menu.isOpen)
+                this._populateMenu();
+            this.menu.toggle();
+            return true;
+        }
+        return false;
+    }
+
+    _populateMenu() {
+        this.menu.removeAll();
+        let launchItem = new PopupMenu.PopupIconMenuItem(_("Launch"), "media-playback-start", St.IconType.SYMBOLIC);
+        launchItem.connect('activate', () => this._app.open_new_window(-1));
+        this.menu.addMenuItem(launchItem);
+        let unpinItem = new PopupMenu.PopupIconMenuItem(_("Unpin"), "view-pin", St.IconType.SYMBOLIC);
+        unpinItem.connect('activate', () => {
+            let applet = this._applet;
+            applet._savePinRules(filterPinRule(applet._rawPinRules, this.appId, this._pinPriority));
+        });
+        this.menu.addMenuItem(unpinItem);
+    }
+
+    _getPreferredWidth(actor, forHeight, alloc) {
+        let [, iconWidth] = this._iconBox.get_preferred_width(forHeight);
+        alloc.min_size = 1 * global.ui_scale;
+        alloc.natural_size = iconWidth;
+    }
+
+    _getPreferredHeight(actor, forWidth, alloc) {
+        let [minSize, naturalSize] = this._iconBox.get_preferred_height(forWidth);
+        alloc.min_size = Math.min(minSize, naturalSize);
+        alloc.natural_size = naturalSize;
+    }
+
+    // Icon on the left, app name ellipsized after it
+    _allocate(actor, box, flags) {
+        let allocHeight = box.y2 - box.y1;
+        let spacing = Math.floor(this.actor.get_theme_node().get_length('spacing'));
+        let iconPad = 2;
+        let childBox = new Clutter.ActorBox();
+
+        let [, , iconWidth, iconHeight] = this._iconBox.get_preferred_size();
+        childBox.x1 = box.x1 + iconPad;
+        childBox.x2 = Math.min(childBox.x1 + iconWidth, box.x2);
+        childBox.y1 = box.y1 + Math.floor(Math.max(0, allocHeight - iconHeight) / 2);
+        childBox.y2 = childBox.y1 + Math.min(iconHeight, allocHeight);
+        this._iconBox.allocate(childBox, flags);
+        let labelX = childBox.x2 + spacing;
+
+        let [, , , labelHeight] = this._label.get_preferred_size();
+        childBox.x1 = labelX;
+        childBox.x2 = Math.max(labelX, box.x2 - iconPad);
+        childBox.y1 = box.y1 + Math.floor(Math.max(0, allocHeight - labelHeight) / 2);
+        childBox.y2 = childBox.y1 + Math.min(labelHeight, allocHeight);
+        this._label.allocate(childBox, flags);
+    }
+}
+
 class CinnamonWindowListApplet extends Applet.Applet {
     constructor(orientation, panel_height, instance_id) {
         super(orientation, panel_height, instance_id);
@@ -1183,38 +1734,29 @@ class CinnamonWindowListApplet extends Applet.Applet {
         this.appletEnabled = false;
         //
         // A layout manager is used to cater for vertical panels as well as horizontal.
-        // For horizontal panels, FlowLayout wraps buttons into multiple rows.
-        // For vertical panels, BoxLayout is used (multi-row doesn't apply).
+        // It places the buttons in the cells _recomputeAdaptiveRows computes: rows
+        // on horizontal panels, columns on vertical ones.
         //
-        let manager;
-        if (this.orientation == St.Side.TOP || this.orientation == St.Side.BOTTOM) {
-            manager = new Clutter.FlowLayout({
-                orientation: Clutter.FlowOrientation.HORIZONTAL,
-                homogeneous: true,
-                column_spacing: 0,
-                row_spacing: 0
-            });
-        } else {
-            manager = new Clutter.BoxLayout( { orientation: Clutter.Orientation.VERTICAL });
+        if (this.orientation != St.Side.TOP && this.orientation != St.Side.BOTTOM)
             this.actor.add_style_class_name("vertical");
-        }
 
-        this.manager = manager;
-        this.manager_container = new Clutter.Actor( { layout_manager: manager } );
+        this.manager = new ButtonCellsLayout(this);
+        this.manager_container = new Clutter.Actor( { layout_manager: this.manager } );
         this.actor.add_actor (this.manager_container);
+        this._pinnedZones = null;
+        this.signals.connect(this.manager_container, 'actor-added', () => this._pinnedZones = null);
+        this.signals.connect(this.manager_container, 'actor-removed', () => this._pinnedZones = null);
 
-        // Override FlowLayout's inflated min_width so the panel's _calcBoxSizes()
+        // Override the layout's inflated min_width so the panel's _calcBoxSizes()
         // enters the proportional-sharing branch (like stock BoxLayout) instead of
         // the scale-everything-down branch that squeezes left/right zones off-screen.
         if (this.orientation == St.Side.TOP || this.orientation == St.Side.BOTTOM) {
             this.manager_container.min_width = 0;
         }
 
-        // FlowLayout needs a width constraint to trigger wrapping.
-        // Use SignalManager so this gets cleaned up automatically on removal.
-        if (this.orientation == St.Side.TOP || this.orientation == St.Side.BOTTOM) {
-            this.signals.connect(this.actor, 'notify::allocation', this._onAllocationChanged, this);
-        }
+        // The layout needs a width (or, on vertical panels, height) constraint to
+        // wrap against. Use SignalManager so this gets cleaned up automatically on removal.
+        this.signals.connect(this.actor, 'notify::allocation', this._onAllocationChanged, this);
 
         this.dragInProgress = false;
         this._tooltipShowing = false;
@@ -1226,7 +1768,7 @@ class CinnamonWindowListApplet extends Applet.Applet {
 
         this.settings = new Settings.AppletSettings(this, "multirow-window-list@science", this.instance_id);
 
-        this.settings.bind("show-all-workspaces", "showAllWorkspaces");
+        this.settings.bind("show-all-workspaces", "showAllWorkspaces", this._onLayoutSettingsChanged);
         this.settings.bind("enable-alerts", "enableAlerts", this._updateAttentionGrabber);
         this.settings.bind("enable-scrolling", "scrollable", this._onEnableScrollChanged);
         this.settings.bind("reverse-scrolling", "reverseScroll");
@@ -1242,22 +1784,75 @@ class CinnamonWindowListApplet extends Applet.Applet {
 
         // Multi-row settings
         this.settings.bind("max-rows", "maxRows", this._onLayoutSettingsChanged);
+        this.settings.bind("auto-rows", "autoRows", this._onLayoutSettingsChanged);
+        this.settings.bind("min-row-height-unit", "minRowHeightUnit", this._onLayoutSettingsChanged);
+        this.settings.bind("min-row-height", "minRowHeight", this._onLayoutSettingsChanged);
+        this.settings.bind("min-row-height-lines", "minRowHeightLines", this._onLayoutSettingsChanged);
+        this.settings.bind("overflow-mode", "overflowMode", this._onLayoutSettingsChanged);
+        this.settings.bind("row-alignment", "rowAlignment", this._onLayoutSettingsChanged);
+        this.settings.bind("balance-rows", "balanceRows", this._onLayoutSettingsChanged);
+        this.settings.bind("column-major", "columnMajor", this._onLayoutSettingsChanged);
+        this.settings.bind("pinned-row", "pinnedRow", this._onLayoutSettingsChanged);
+        this.settings.bind("variable-width", "variableWidth", this._onLayoutSettingsChanged);
+        this.settings.bind("variable-min-width", "variableMinWidth", this._onLayoutSettingsChanged);
+        this.settings.bind("variable-max-width", "variableMaxWidth", this._onLayoutSettingsChanged);
         this.settings.bind("group-windows", "groupWindows");
+        this.settings.bind("workspace-rows", "workspaceRows", this._onLayoutSettingsChanged);
+        this.settings.bind("collapse-groups", "collapseGroups", this._onLayoutSettingsChanged);
+        this.settings.bind("collapse-threshold", "collapseThreshold", this._onLayoutSettingsChanged);
         this.settings.bind("pin-rules", "pinRules", this._onPinRulesChanged);
+        this.settings.bind("pin-rules-migration-dismissed", "pinRulesMigrationDismissed");
+        this.settings.bind("pin-profiles", "pinProfiles");
+        this.settings.bind("active-pin-profile", "activePinProfile");
+        this.settings.bind("title-rewrite-rules", "titleRewriteRules", this._onTitleRewriteRulesChanged);
+        this.settings.bind("app-overrides", "appOverrides", this._onAppOverridesChanged);
+        this._appOverrides = parseAppOverrides(this.appOverrides || '{}');
+        this._titleRewrites = parseTitleRewriteRules(this.titleRewriteRules || '[]');
         this._parsedPinRules = parsePinRules(this.pinRules || '[]');
         try { this._rawPinRules = JSON.parse(this.pinRules || '[]'); } catch(e) { this._rawPinRules = []; }
         this.settings.bind("icon-size-override", "iconSizeOverride", this._onAppearanceSettingsChanged);
         this.settings.bind("label-font-size", "labelFontSize", this._onAppearanceSettingsChanged);
         this.settings.bind("label-wrap", "labelWrap", this._onAppearanceSettingsChanged);
+        this.settings.bind("compact-ellipsize", "compactEllipsize", this._updateLabelTexts);
+        this.settings.bind("label-format", "labelFormat", this._updateLabelTexts);
+        this.settings.bind("label-format-compact", "labelFormatCompact", this._updateLabelTexts);
+        this.settings.bind("label-minimized-format", "labelMinimizedFormat", this._updateLabelTexts);
+        this.settings.bind("label-tiled-format", "labelTiledFormat", this._updateLabelTexts);
 
         // Adaptive row state (derived, not a setting)
         this._computedRows = 1;
+        this._computedColumns = 1;
+        this._effectiveButtonHeight = 0;
         this._buttonVerticalMargin = 0;
+        this._buttonHorizontalMargin = 0;
         this._buttonVerticalOverhead = 0;
         this._effectiveButtonWidth = this.buttonWidth;
         this._iconOnlyMode = false;
+        // 'first' or 'last' while a row is reserved for pinned buttons
+        this._pinnedRow = null;
+        this._pinnedRowWidth = this.buttonWidth;
+        // Last calcButtonLayout result, the cell of each child in it, and the
+        // shown children it was computed for
+        this._layout = null;
+        this._layoutCells = new Map();
+        this._layoutOrder = [];
+        this._spacing = 0;
+        this._overflowButton = null;
+        this._groupButtons = new Map();
+        this._launchers = new Map();
+        this._packSignature = null;
+        // One recompute per batch of window events, run before the next redraw
+        this._reflowTask = createCoalescedTask(() => this._recomputeAdaptiveRows(),
+            callback => Mainloop.idle_add(callback, GLib.PRIORITY_HIGH_IDLE),
+            sourceId => Mainloop.source_remove(sourceId));
+        this._windowsChanged = false;
+        // Saved slots still waiting for their windows after startup, see _applySavedOrder
+        this._restoreOrder = null;
+        this._restoreOrderTimer = 0;
+        this._workspaceLabels = [];
         this._inAllocationUpdate = false;
         this._lastStableContainerWidth = 0;
+        this._lastStableContainerHeight = 0;
         this._lastVisibleCount = 0;
 
         this.signals.connect(global.display, 'window-created', this._onWindowAddedAsync, this);
@@ -1266,6 +1861,8 @@ class CinnamonWindowListApplet extends Applet.Applet {
         this.signals.connect(global.display, 'window-skip-taskbar-changed', this._onWindowSkipTaskbarChanged, this);
         this.signals.connect(Main.panelManager, 'monitors-changed', this._updateWatchedMonitors, this);
         this.signals.connect(global.window_manager, 'switch-workspace', this._refreshAllItems, this);
+        this.signals.connect(global.workspace_manager, 'notify::n-workspaces', this._onWorkspacesChanged, this);
+        this.signals.connect(global.settings, 'changed::workspace-name-overrides', this._onWorkspacesChanged, this);
         this.signals.connect(Cinnamon.WindowTracker.get_default(), "window-app-changed", this._onWindowAppChanged, this);
 
         this.signals.connect(this.actor, 'style-changed', Lang.bind(this, this._updateSpacing));
@@ -1291,6 +1888,21 @@ class CinnamonWindowListApplet extends Applet.Applet {
             this._windows[i].destroy();
         }
         this._windows = [];
+        this._reflowTask.cancel();
+        this._endOrderRestore();
+        if (this._overflowButton) {
+            this._overflowButton.destroy();
+            this._overflowButton = null;
+        }
+        for (let group of this._groupButtons.values())
+            group.destroy();
+        this._groupButtons.clear();
+        for (let launcher of this._launchers.values())
+            launcher.destroy();
+        this._launchers.clear();
+        for (let label of this._workspaceLabels)
+            label.destroy();
+        this._workspaceLabels = [];
 
         this.signals.disconnectAllSignals();
         this.settings.finalize();
@@ -1318,42 +1930,34 @@ class CinnamonWindowListApplet extends Applet.Applet {
             window._setupLabelWrapping();
         }
 
-        // Recreate the layout manager for the new orientation
+        // Drop the size constraint of the other orientation
         if (orientation == St.Side.TOP || orientation == St.Side.BOTTOM) {
-            let spacing = 0;
-            try {
-                let themeNode = this.actor.get_theme_node();
-                spacing = themeNode.get_length('spacing') * global.ui_scale;
-            } catch(e) {}
-            this.manager = new Clutter.FlowLayout({
-                orientation: Clutter.FlowOrientation.HORIZONTAL,
-                homogeneous: true,
-                column_spacing: spacing,
-                row_spacing: 0
-            });
-            this.manager_container.set_layout_manager(this.manager);
             this.manager_container.min_width = 0;
             this._reTitleItems();
             this.actor.remove_style_class_name("vertical");
 
-            // Re-add the allocation listener for width constraint (via SignalManager).
-            // Disconnect first to avoid duplicates from repeated orientation changes.
-            this.signals.disconnect('notify::allocation', this.actor);
-            this.signals.connect(this.actor, 'notify::allocation', this._onAllocationChanged, this);
+            // Remove height constraint left over from a vertical panel
+            this.manager_container.set_height(-1);
+            this.manager_container.min_height = -1;
+            this._computedColumns = 1;
+            this._effectiveButtonHeight = 0;
         } else {
-            this.manager = new Clutter.BoxLayout({ orientation: Clutter.Orientation.VERTICAL });
-            this.manager_container.set_layout_manager(this.manager);
+            this.manager_container.min_height = 0;
             this.actor.add_style_class_name("vertical");
             this.actor.set_x_align(Clutter.ActorAlign.CENTER);
             this.actor.set_important(true);
 
-            // Disconnect the allocation listener (not needed for vertical)
-            this.signals.disconnect('notify::allocation', this.actor);
-            // Remove width constraint
+            // Remove width constraint left over from a horizontal panel
             this.manager_container.set_width(-1);
             this.manager_container.min_width = -1;
+            this._computedRows = 1;
         }
 
+        // Re-add the allocation listener for the wrap constraint (via SignalManager).
+        // Disconnect first to avoid duplicates from repeated orientation changes.
+        this.signals.disconnect('notify::allocation', this.actor);
+        this.signals.connect(this.actor, 'notify::allocation', this._onAllocationChanged, this);
+
         // Any padding/margin is removed on one side so that the AppMenuButton
         // boxes butt up against the edge of the screen
 
@@ -1388,6 +1992,7 @@ class CinnamonWindowListApplet extends Applet.Applet {
         }
 
         this._updateAllIconGeometry()
+        this._queueRecomputeAdaptiveRows();
     }
 
     _onAllocationChanged() {
@@ -1395,6 +2000,17 @@ class CinnamonWindowListApplet extends Applet.Applet {
         this._inAllocationUpdate = true;
         try {
             let allocBox = this.actor.get_allocation_box();
+            if (this.orientation == St.Side.LEFT || this.orientation == St.Side.RIGHT) {
+                let height = allocBox.y2 - allocBox.y1;
+                if (height > 0) {
+                    this.manager_container.set_height(height);
+                    this.manager_container.min_height = 0;
+                    let actorVPad = this.actor.get_theme_node().get_vertical_padding();
+                    this._lastStableContainerHeight = height - actorVPad;
+                    this._recomputeAdaptiveRows();
+                }
+                return;
+            }
             let width = allocBox.x2 - allocBox.x1;
             if (width > 0) {
                 this.manager_container.set_width(width);
@@ -1412,8 +2028,14 @@ class CinnamonWindowListApplet extends Applet.Applet {
     }
 
     _recomputeAdaptiveRows() {
+        // Running now makes a queued recompute redundant, but not the window
+        // changes it carries
+        this._reflowTask.cancel();
+        this._flushWindowChanges();
+        this._syncWorkspaceLabels();
         if (this.orientation !== St.Side.TOP && this.orientation !== St.Side.BOTTOM) {
             this._computedRows = 1;
+            this._recomputeAdaptiveColumns();
             return;
         }
         // Use the stable container width cached by _onAllocationChanged.
@@ -1427,12 +2049,13 @@ class CinnamonWindowListApplet extends Applet.Applet {
             let actorHPad = this.actor.get_theme_node().get_horizontal_padding();
             containerWidth = rawWidth - actorHPad;
         }
-        let visibleCount = this._windows.filter(w => w.actor.visible).length;
+        this._applyCollapsedGroups();
+        let visibleCount = this._countVisibleWindows();
         let wasEmpty = this._lastVisibleCount === 0;
         this._lastVisibleCount = visibleCount;
 
         // St adds CSS padding+border on top of what _getPreferredWidth's alloc.natural_size
-        // reports. FlowLayout sees the total width (content + padding + border + margin), so
+        // reports. The layout sees the total width (content + padding + border + margin), so
         // calculations must use total widths. ceil() accounts for sub-pixel rounding.
         let hOverhead = 0;
         let vMargin = 0;
@@ -1449,123 +2072,553 @@ class CinnamonWindowListApplet extends Applet.Applet {
         }
         this._buttonVerticalMargin = vMargin;
         this._buttonVerticalOverhead = vOverhead;
-        let totalButtonWidth = this.buttonWidth + hOverhead;
-
-        let newRows = calcAdaptiveRowCount(containerWidth, visibleCount, totalButtonWidth, this.maxRows);
 
-        // Tier 1: Shrink buttons to fit all windows in maxRows
-        const ICON_ONLY_THRESHOLD = 50;
-        let totalMinWidth = ICON_ONLY_THRESHOLD + hOverhead;
-        let totalEffective = calcButtonWidth(containerWidth, visibleCount, totalButtonWidth, this.maxRows, totalMinWidth);
-        let newEffectiveWidth = totalEffective - hOverhead;
+        // After the box model: auto-rows counts the padding and margin per row
+        let maxRows = this._getMaxRows();
+        let layoutButtons = this._getLayoutButtons(hOverhead);
+
+        // The layout works in physical pixels, like the container; the width
+        // settings are logical. The overflow-mode setting picks what happens
+        // once buttons hit their minimum width: keep shrinking ("shrink"),
+        // drop labels ("icon-only"), or move the extra windows into a
+        // "+N more" button ("overflow").
+        let uiScale = global.ui_scale;
+        let minWidth = ICON_ONLY_THRESHOLD * uiScale;
+        if (this.overflowMode === 'overflow')
+            minWidth = OVERFLOW_MIN_WIDTH * uiScale;
+        else if (this.overflowMode === 'shrink')
+            minWidth = this.icon_size + 4;
+
+        // One row per workspace: the row count follows the workspace count and
+        // each row only has to fit its own workspace's windows beside the label.
+        let workspaceRows = this._isWorkspaceRowsMode();
+
+        // Rows, widths, the pinned row (pinned buttons in a row of their own
+        // at their own width), packing, icon-only, overflow and the cell of
+        // every button, from the theme box model and the buttons' own widths
+        let layout = calcButtonLayout({
+            width: containerWidth,
+            height: this._panelHeight,
+            overhead: { horizontal: hOverhead, vertical: vOverhead, verticalMargin: vMargin },
+            buttons: layoutButtons,
+            settings: {
+                buttonWidth: this.buttonWidth * uiScale,
+                minWidth: minWidth,
+                maxRows: maxRows,
+                overflowMode: this.overflowMode,
+                iconOnlyWidth: ICON_ONLY_THRESHOLD * uiScale,
+                pinnedRow: workspaceRows ? 'off' : this.pinnedRow,
+                rowAlignment: this.rowAlignment,
+                balanceRows: this.balanceRows,
+                columnMajor: this._isColumnMajor(),
+                // Equal slots unless an app override makes widths differ
+                homogeneous: layoutButtons.every(button => button.scale === 1),
+                spacing: this._spacing,
+                fitContent: this.buttonsUseEntireSpace,
+                variableWidth: this.variableWidth ? {
+                    minWidth: this.variableMinWidth * uiScale,
+                    maxWidth: this.variableMaxWidth * uiScale
+                } : null,
+                workspaces: workspaceRows ? {
+                    count: global.workspace_manager.n_workspaces,
+                    labelWidth: this._getWorkspaceLabelWidth()
+                } : null
+            }
+        });
+        this._applyLayout(layout, layoutButtons);
+
+        // Variable widths: labelled window buttons take the width the layout
+        // packed their title to
+        for (let i = 0; i < layoutButtons.length; i++) {
+            let btn = layoutButtons[i].actor._delegate;
+            if (btn instanceof AppMenuButton)
+                btn._packedWidth = layout.packed && layout.cells[i] && btn.labelVisiblePref
+                    ? (layout.cells[i].width - hOverhead) / uiScale : null;
+        }
+        let packSignature = layout.packed ? layout.cells.map(cell => cell ? cell.width : 0).join(',') : null;
+        let packChanged = packSignature !== this._packSignature;
+        this._packSignature = packSignature;
 
-        // Tier 2: Icon-only when buttons too narrow for useful labels
-        let newIconOnly = newEffectiveWidth <= ICON_ONLY_THRESHOLD && visibleCount > 0
-            && newEffectiveWidth < this.buttonWidth;
+        let newRows = layout.rows;
+        let newEffectiveWidth = layout.buttonWidth / uiScale;
+        let newIconOnly = layout.iconOnly;
+        let pinnedRow = layout.pinnedRow;
 
         let rowsChanged = newRows !== this._computedRows;
         let widthChanged = newEffectiveWidth !== this._effectiveButtonWidth;
         let iconOnlyChanged = newIconOnly !== this._iconOnlyMode;
+        let pinnedRowChanged = pinnedRow !== this._pinnedRow;
 
         this._computedRows = newRows;
         this._effectiveButtonWidth = newEffectiveWidth;
         this._iconOnlyMode = newIconOnly;
+        this._pinnedRow = pinnedRow;
+        this._pinnedRowWidth = layout.pinnedWidth / uiScale;
 
-        if (rowsChanged || iconOnlyChanged) {
+        if (rowsChanged || iconOnlyChanged || pinnedRowChanged) {
             this._recalcIconSize();
             for (let window of this._windows) {
                 window.setIcon();
                 window.updateLabelVisible();
                 window._setupLabelWrapping();
             }
+            for (let group of this._groupButtons.values())
+                group.setIcon();
+            for (let launcher of this._launchers.values())
+                launcher.setIcon();
         }
 
-        if (widthChanged || rowsChanged || (wasEmpty && visibleCount > 0)) {
-            // Invalidate each button's cached preferred size so they
-            // report the new _effectiveButtonWidth on next query.
+        // Only a change of width or rows makes the buttons' cached preferred
+        // sizes stale; otherwise the relayout below is enough.
+        if (widthChanged || rowsChanged || iconOnlyChanged || packChanged
+            || pinnedRowChanged || (wasEmpty && visibleCount > 0)) {
             for (let window of this._windows) {
                 window.actor.queue_relayout();
             }
-            // Clutter.FlowLayout also caches children's preferred sizes internally.
-            // Replacing the layout manager forces a complete re-query.
-            let newManager = new Clutter.FlowLayout({
-                orientation: Clutter.FlowOrientation.HORIZONTAL,
-                homogeneous: true,
-                column_spacing: 0,
-                row_spacing: 0
-            });
-            this.manager = newManager;
-            this.manager_container.set_layout_manager(newManager);
-            this.manager_container.min_width = 0;
         }
+        // The layout manager keeps no size cache, so this allocates the new
+        // cells.
+        this.manager.layout_changed();
     }
 
-    _recalcIconSize() {
-        this.icon_size = calcAdaptiveIconSize(this._panelHeight, this._computedRows, this.iconSizeOverride, this._buttonVerticalMargin);
+    // Row limit for a horizontal panel: max-rows, or with auto-rows the most
+    // rows that stay at least the minimum row height tall
+    _getMaxRows() {
+        if (!this.autoRows) return this.maxRows;
+        let scale = global.ui_scale;
+        let value = this.minRowHeightUnit === 'lines' ? this.minRowHeightLines : this.minRowHeight;
+        let minHeight = calcMinRowHeight(value, this.minRowHeightUnit,
+            this._getLinePixels() / scale, (this._buttonVerticalOverhead || 0) / scale) * scale;
+        return calcAutoRowCount(this._panelHeight, minHeight, MAX_ROWS, this._buttonVerticalMargin || 0);
     }
 
-    _onLayoutSettingsChanged() {
-        this._recomputeAdaptiveRows();
-        this._refreshAllItems();
-        this._onAllocationChanged();
+    // Height in pixels of one line of the panel font
+    _getLinePixels() {
+        let font = this.actor.get_theme_node().get_font();
+        let size = font.get_size() / Pango.SCALE;
+        // Points at 96 dpi; lines take about 1.2 times the font size
+        if (!font.get_size_is_absolute()) size = size * 96 / 72;
+        return size * 1.2 * global.ui_scale;
     }
 
-    _onAppearanceSettingsChanged() {
-        this._recalcIconSize();
-        for (let window of this._windows) {
-            window.setIcon();
-            window.updateLabelStyle();
+    /* Buttons that take a slot, in display order, for calcButtonLayout:
+     * window buttons (overflowed ones too), group buttons, launchers and
+     * the drag placeholder, each with its actor. Only unpinned,
+     * non-transient windows can overflow. Window buttons set to show no
+     * label, and the rest, have a width of their own; with variable widths
+     * or buttons-use-entire-space, labelled window buttons report the width
+     * their title wants. Widths are totals, hOverhead included. */
+    _getLayoutButtons(hOverhead) {
+        let measure = (this.variableWidth || this.buttonsUseEntireSpace)
+            && (this.orientation === St.Side.TOP || this.orientation === St.Side.BOTTOM);
+        let buttons = [];
+        for (let child of this.manager_container.get_children()) {
+            let btn = child._delegate;
+            if (btn instanceof AppMenuButton) {
+                if (!child.visible && !btn._overflowed) continue;
+                let button = { actor: child, scale: this._getWidthScale(btn), pinned: this._isPinned(btn),
+                    anchor: btn._pinAnchor, keep: btn.transient, workspace: this._getWorkspaceIndex(btn) };
+                if (!btn.wantsLabel())
+                    button.width = btn._iconBox.get_preferred_width(-1)[1] + hOverhead;
+                else if (measure && btn.labelVisiblePref)
+                    button.natural = btn.getContentWidth() + hOverhead;
+                buttons.push(button);
+            } else if (btn instanceof LauncherButton || (btn instanceof GroupButton && child.visible)) {
+                buttons.push({ actor: child, scale: 1, pinned: this._isPinned(btn), anchor: btn._pinAnchor,
+                    keep: true, width: child.get_preferred_width(-1)[1], workspace: null });
+            } else if (this._dragPlaceholder && child === this._dragPlaceholder.actor) {
+                buttons.push({ actor: child, scale: 1, pinned: false, keep: true,
+                    width: child.get_preferred_width(-1)[1], workspace: null });
+            }
         }
+        return buttons;
     }
 
-    _updateSpacing() {
-        let themeNode = this.actor.get_theme_node();
-        let spacing = themeNode.get_length('spacing') * global.ui_scale;
+    /* Apply a calcButtonLayout result: hide the windows it overflowed
+     * behind the overflow button, then keep the cell of every shown child
+     * for ButtonCellsLayout to allocate. */
+    _applyLayout(layout, buttons) {
+        this._applyOverflow(layout, buttons);
+        let cells = new Map();
+        buttons.forEach((button, i) => {
+            if (layout.cells[i]) cells.set(button.actor, layout.cells[i]);
+        });
+        if (layout.overflow) cells.set(this._overflowButton.actor, layout.overflow);
+        layout.labels.forEach((cell, i) => {
+            if (this._workspaceLabels[i]) cells.set(this._workspaceLabels[i], cell);
+        });
+        this._layout = layout;
+        this._layoutCells = cells;
+        this._layoutOrder = this.manager_container.get_children().filter(child => child.visible);
+    }
 
-        if (this.manager instanceof Clutter.FlowLayout) {
-            this.manager.set_column_spacing(spacing);
-        } else {
-            this.manager.set_spacing(spacing);
-        }
+    // Cell per shown child for ButtonCellsLayout, null for a child the last
+    // layout was not computed for; children added, removed or reordered
+    // since queue a new layout
+    _getLayoutCells(children) {
+        let order = this._layoutOrder;
+        if (children.length !== order.length || children.some((child, i) => child !== order[i]))
+            this._queueRecomputeAdaptiveRows();
+        return children.map(child => this._layoutCells.get(child) || null);
     }
 
-    _onWindowAddedAsync(display, metaWindow, monitor) {
-        Mainloop.timeout_add(20, Lang.bind(this, this._onWindowAdded, display, metaWindow, monitor));
+    _isPinned(button) {
+        return !!button && button._pinPriority !== null && button._pinPriority !== undefined;
     }
 
-    _onWindowAdded(display, metaWindow, monitor) {
-        if (this._shouldAdd(metaWindow))
-            this._addWindow(metaWindow, false);
+    _isInPinnedRow(button) {
+        return this._pinnedRow !== null && this._isPinned(button);
     }
 
-    _onWindowMonitorChanged(display, metaWindow, monitor) {
-        if (this._shouldAdd(metaWindow))
-            this._addWindow(metaWindow, false);
-        else
-            this._removeWindow(metaWindow);
+    // Whether buttons fill columns top to bottom instead of rows left to right
+    _isColumnMajor() {
+        return this.columnMajor && !this._isWorkspaceRowsMode()
+            && (this.orientation === St.Side.TOP || this.orientation === St.Side.BOTTOM);
     }
 
-    _refreshItemByMetaWindow(metaWindow) {
-        let window = this._windows.find(win => (win.metaWindow == metaWindow));
+    // Coalesce relayouts requested by window events and title changes into
+    // one idle pass
+    _queueRecomputeAdaptiveRows() {
+        this._reflowTask.queue();
+    }
 
-        if (window)
-            this._refreshItem(window);
+    // Windows were added or removed: launchers, the saved order and icon
+    // geometry follow once per batch, in the queued pass
+    _queueWindowChanges() {
+        this._windowsChanged = true;
+        this._reflowTask.queue();
     }
 
-    _onWindowWorkspaceChanged(display, metaWindow, metaWorkspace) {
-        this._refreshItemByMetaWindow(metaWindow);
+    _flushWindowChanges() {
+        if (!this._windowsChanged) return;
+        this._windowsChanged = false;
+        this._syncLaunchers();
+        this._saveOrder();
+        this._updateAllIconGeometry();
     }
 
-    _onWindowAppChanged(tracker, metaWindow) {
-        this._refreshItemByMetaWindow(metaWindow);
+    _isWorkspaceRowsMode() {
+        return this.workspaceRows && this.showAllWorkspaces &&
+            (this.orientation == St.Side.TOP || this.orientation == St.Side.BOTTOM);
+    }
 
-        // The tracker often resolves a window's app only after _addWindow ran
-        // (PID/WM_CLASS lookup race), so the button was appended at the end
-        // instead of joining its group. Re-run pin matching (rules key on the
+    // Workspace row of a window button in the one-row-per-workspace mode.
+    // Windows on all workspaces follow the active workspace's row.
+    _getWorkspaceIndex(btn) {
+        let workspace = btn.metaWindow.get_workspace();
+        if (btn.metaWindow.is_on_all_workspaces() || !workspace)
+            return global.workspace_manager.get_active_workspace_index();
+        return workspace.index();
+    }
+
+    _getWorkspaceLabelWidth() {
+        let width = 0;
+        for (let label of this._workspaceLabels)
+            width = Math.max(width, label.get_preferred_width(-1)[1]);
+        return Math.ceil(width);
+    }
+
+    // Keep one name label per workspace while the mode is on (none otherwise)
+    _syncWorkspaceLabels() {
+        let count = this._isWorkspaceRowsMode() ? global.workspace_manager.n_workspaces : 0;
+        while (this._workspaceLabels.length > count)
+            this._workspaceLabels.pop().destroy();
+        while (this._workspaceLabels.length < count) {
+            let label = new St.Label({ y_align: Clutter.ActorAlign.CENTER });
+            label.style = 'font-size: 0.8em; padding: 0 4px;';
+            this.manager_container.add_actor(label);
+            this._workspaceLabels.push(label);
+        }
+        for (let i = 0; i < this._workspaceLabels.length; i++) {
+            let name = Main.workspace_names[i] ? Main.workspace_names[i] : Main._makeDefaultWorkspaceName(i);
+            this._workspaceLabels[i].set_text(name);
+        }
+    }
+
+    /* Vertical-panel counterpart of _recomputeAdaptiveRows: buttons stack
+     * down the panel and wrap into up to maxRows columns. The button height
+     * shrinks once every column is full, and labels are dropped when the
+     * columns get too narrow to show useful text. */
+    _recomputeAdaptiveColumns() {
+        let containerHeight = this._lastStableContainerHeight;
+        if (containerHeight <= 0) {
+            // Fallback during initial setup before first allocation
+            let parent = this.actor.get_parent();
+            let rawHeight = parent ? parent.get_height() : 0;
+            let actorVPad = this.actor.get_theme_node().get_vertical_padding();
+            containerHeight = rawHeight - actorVPad;
+        }
+        this._applyCollapsedGroups();
+        let visibleCount = this._countVisibleWindows();
+        let wasEmpty = this._lastVisibleCount === 0;
+        this._lastVisibleCount = visibleCount;
+
+        let hOverhead = 0;
+        let hMargin = 0;
+        let vOverhead = 0;
+        let vMargin = 0;
+        if (this._windows.length > 0) {
+            let tn = this._windows[0].actor.get_theme_node();
+            hMargin = Math.ceil(tn.get_length('margin-left') + tn.get_length('margin-right'));
+            hOverhead = Math.ceil(tn.get_horizontal_padding()
+                + tn.get_border_width(1) + tn.get_border_width(3));
+            vMargin = Math.ceil(tn.get_length('margin-bottom') + tn.get_length('margin-top'));
+            vOverhead = Math.ceil(tn.get_vertical_padding()
+                + tn.get_border_width(0) + tn.get_border_width(2));
+        }
+        this._buttonHorizontalMargin = hMargin;
+        this._buttonVerticalMargin = vMargin;
+        this._buttonVerticalOverhead = vOverhead;
+
+        // Natural button height: the panel's own icon size plus the icon padding
+        // used by _allocate. Columns split the panel thickness. The layout
+        // works in physical pixels; the height and width thresholds are logical.
+        let uiScale = global.ui_scale;
+        let buttons = this._getLayoutButtons(hOverhead + hMargin);
+        let layout = calcButtonLayout({
+            width: this._panelHeight,
+            height: containerHeight,
+            overhead: { horizontal: hOverhead + hMargin, vertical: vOverhead, verticalMargin: vMargin },
+            buttons: buttons,
+            settings: {
+                vertical: true,
+                buttonHeight: this.getPanelIconSize(St.IconType.FULLCOLOR) + 4,
+                minHeight: MIN_VERTICAL_BUTTON_HEIGHT * uiScale,
+                maxRows: this.maxRows,
+                overflowMode: this.overflowMode,
+                iconOnlyWidth: ICON_ONLY_THRESHOLD * uiScale,
+                spacing: this._spacing
+            }
+        });
+        this._applyLayout(layout, buttons);
+
+        let newColumns = layout.columns;
+        let newEffectiveHeight = layout.contentHeight;
+        let newIconOnly = layout.iconOnly;
+
+        let columnsChanged = newColumns !== this._computedColumns;
+        let heightChanged = newEffectiveHeight !== this._effectiveButtonHeight;
+        let iconOnlyChanged = newIconOnly !== this._iconOnlyMode;
+
+        this._computedColumns = newColumns;
+        this._effectiveButtonHeight = newEffectiveHeight;
+        this._iconOnlyMode = newIconOnly;
+
+        if (columnsChanged || iconOnlyChanged) {
+            this._recalcIconSize();
+            for (let window of this._windows) {
+                window.setIcon();
+                window.updateLabelVisible();
+                window._setupLabelWrapping();
+            }
+            for (let group of this._groupButtons.values())
+                group.setIcon();
+            for (let launcher of this._launchers.values())
+                launcher.setIcon();
+        }
+
+        if (heightChanged || columnsChanged || (wasEmpty && visibleCount > 0)) {
+            for (let window of this._windows) {
+                window.actor.queue_relayout();
+            }
+        }
+        this.manager.layout_changed();
+    }
+
+    // Number of slots the list needs: overflowed buttons are hidden but still
+    // count as visible windows, and each collapsed group and launcher takes
+    // one slot.
+    _countVisibleWindows() {
+        let count = this._windows.filter(w => w.actor.visible || w._overflowed).length;
+        for (let group of this._groupButtons.values()) {
+            if (group.actor.visible) count++;
+        }
+        return count + this._launchers.size;
+    }
+
+    /* Collapse apps with more than collapseThreshold unpinned visible windows
+     * into one GroupButton placed where the app's first window was. Pinned
+     * windows keep their own buttons. */
+    _applyCollapsedGroups() {
+        let candidates = this.manager_container.get_children()
+            .map(child => child._delegate)
+            .filter(btn => btn instanceof AppMenuButton && !btn.transient
+                && (btn.actor.visible || btn._collapsedInto || btn._overflowed));
+        let infos = candidates.map(btn => ({
+            appId: btn.appId,
+            pinned: btn._pinPriority !== null && btn._pinPriority !== undefined
+        }));
+        let groups = (this.groupWindows && this.collapseGroups)
+            ? calcCollapsedGroups(infos, this.collapseThreshold) : [];
+
+        let wanted = new Map();
+        for (let group of groups) {
+            let button = this._groupButtons.get(group.appId);
+            if (!button) {
+                let app = Cinnamon.WindowTracker.get_default()
+                    .get_window_app(candidates[group.firstIndex].metaWindow);
+                button = new GroupButton(this, group.appId, app);
+                this.manager_container.add_actor(button.actor);
+                this._groupButtons.set(group.appId, button);
+            }
+            wanted.set(group.appId, button);
+            this.manager_container.set_child_below_sibling(button.actor, candidates[group.firstIndex].actor);
+            this._pinnedZones = null;
+            button.setCount(group.count);
+        }
+        for (let [appId, button] of this._groupButtons) {
+            if (!wanted.has(appId))
+                button.destroy();
+        }
+        this._groupButtons = wanted;
+
+        for (let i = 0; i < candidates.length; i++) {
+            let btn = candidates[i];
+            let group = infos[i].pinned ? null : (wanted.get(infos[i].appId) || null);
+            if ((btn._collapsedInto || null) !== group) {
+                btn._collapsedInto = group;
+                if (group)
+                    btn._overflowed = false;
+                this._refreshItem(btn);
+            }
+        }
+    }
+
+    /* Hide the window buttons a layout left without a cell behind the
+     * trailing overflow button, and bring back the ones it placed again. */
+    _applyOverflow(layout, buttons) {
+        for (let i = 0; i < buttons.length; i++) {
+            let btn = buttons[i].actor._delegate;
+            let overflowed = layout.cells[i] === null;
+            if (btn instanceof AppMenuButton && !!btn._overflowed !== overflowed) {
+                btn._overflowed = overflowed;
+                this._refreshItem(btn);
+            }
+        }
+
+        if (layout.overflowCount > 0) {
+            if (!this._overflowButton) {
+                this._overflowButton = new OverflowButton(this);
+                this.manager_container.add_actor(this._overflowButton.actor);
+            }
+            // Keep the overflow button trailing the unpinned buttons, ahead of
+            // any right-anchored pins
+            let children = this.manager_container.get_children();
+            let rightStart = this._getPinnedZones().rightStart;
+            if (rightStart < children.length)
+                this.manager_container.set_child_below_sibling(this._overflowButton.actor, children[rightStart]);
+            else
+                this.manager_container.set_child_above_sibling(this._overflowButton.actor, null);
+            this._pinnedZones = null;
+            this._overflowButton.setCount(layout.overflowCount);
+            this._overflowButton.actor.show();
+        } else if (this._overflowButton) {
+            this._overflowButton.actor.hide();
+        }
+    }
+
+    _getLayoutMode() {
+        return calcLayoutMode(Math.max(this._computedRows, this._computedColumns));
+    }
+
+    _recalcIconSize() {
+        if (this.orientation == St.Side.LEFT || this.orientation == St.Side.RIGHT) {
+            // Scale to the column width, but never beyond the panel's own icon size
+            // (the natural button height in _recomputeAdaptiveColumns is built on it).
+            let columnSize = calcAdaptiveIconSize(this._panelHeight, this._computedColumns, this.iconSizeOverride, this._buttonHorizontalMargin);
+            this.icon_size = this.iconSizeOverride > 0 ? columnSize
+                : Math.min(columnSize, this.getPanelIconSize(St.IconType.FULLCOLOR));
+            return;
+        }
+        this.icon_size = calcAdaptiveIconSize(this._panelHeight, this._computedRows, this.iconSizeOverride, this._buttonVerticalMargin);
+    }
+
+    _onLayoutSettingsChanged() {
+        this._recomputeAdaptiveRows();
+        this._refreshAllItems();
+        this._onAllocationChanged();
+    }
+
+    _onAppearanceSettingsChanged() {
+        this._recalcIconSize();
+        for (let window of this._windows) {
+            window.setIcon();
+            window.updateLabelStyle();
+        }
+        for (let group of this._groupButtons.values())
+            group.setIcon();
+        for (let launcher of this._launchers.values())
+            launcher.setIcon();
+    }
+
+    _updateSpacing() {
+        let themeNode = this.actor.get_theme_node();
+        let spacing = themeNode.get_length('spacing') * global.ui_scale;
+        if (spacing === this._spacing) return;
+        this._spacing = spacing;
+        this._queueRecomputeAdaptiveRows();
+    }
+
+    _onWindowAddedAsync(display, metaWindow, monitor) {
+        Mainloop.timeout_add(20, Lang.bind(this, this._onWindowAdded, display, metaWindow, monitor));
+    }
+
+    _onWindowAdded(display, metaWindow, monitor) {
+        if (this._shouldAdd(metaWindow))
+            this._addWindow(metaWindow, false);
+    }
+
+    _onWindowMonitorChanged(display, metaWindow, monitor) {
+        if (this._shouldAdd(metaWindow))
+            this._addWindow(metaWindow, false);
+        else
+            this._removeWindow(metaWindow);
+        this._recheckPinRule(metaWindow);
+    }
+
+    // Pin rules can match on workspace and monitor, so a move may pin or unpin
+    _recheckPinRule(metaWindow) {
+        let window = this._windows.find(win => win.metaWindow == metaWindow);
+        if (window) {
+            // The label format may show the workspace or monitor too
+            window.updateLabelText();
+            this._onWindowTitleChanged(window);
+        }
+    }
+
+    _refreshItemByMetaWindow(metaWindow) {
+        let window = this._windows.find(win => (win.metaWindow == metaWindow));
+
+        if (window)
+            this._refreshItem(window);
+    }
+
+    _onWindowWorkspaceChanged(display, metaWindow, metaWorkspace) {
+        this._refreshItemByMetaWindow(metaWindow);
+        this._recheckPinRule(metaWindow);
+
+        // One row per workspace: move the button to its new row
+        if (this._isWorkspaceRowsMode())
+            this._queueRecomputeAdaptiveRows();
+    }
+
+    _onWorkspacesChanged() {
+        this._updateLabelTexts();
+        if (this._isWorkspaceRowsMode())
+            this._queueRecomputeAdaptiveRows();
+    }
+
+    _onWindowAppChanged(tracker, metaWindow) {
+        this._refreshItemByMetaWindow(metaWindow);
+
+        // The tracker often resolves a window's app only after _addWindow ran
+        // (PID/WM_CLASS lookup race), so the button was appended at the end
+        // instead of joining its group. Re-run pin matching (rules key on the
         // app id) and move the button next to its same-app siblings.
         let window = this._windows.find(win => win.metaWindow == metaWindow);
         if (!window) return;
 
+        window.updateIdentity();
         this._onWindowTitleChanged(window);
 
         if (!this.groupWindows) return;
@@ -1575,19 +2628,16 @@ class CinnamonWindowListApplet extends Applet.Applet {
         let selfIndex = children.indexOf(window.actor);
         if (selfIndex < 0) return;
 
-        let app = tracker.get_window_app(metaWindow);
-        let appId = app ? app.get_id() : null;
         let appIds = children.map(child => {
             let btn = child._delegate;
             if (!btn || !btn.metaWindow) return null;
             if (btn._pinPriority !== null && btn._pinPriority !== undefined) return null;
-            let a = tracker.get_window_app(btn.metaWindow);
-            return a ? a.get_id() : null;
+            return btn.appId;
         });
 
-        let target = calcRegroupTargetIndex(appIds, selfIndex, appId);
+        let target = calcRegroupTargetIndex(appIds, selfIndex, window.appId);
         if (target !== selfIndex) {
-            this.manager_container.set_child_at_index(window.actor, target);
+            this._setChildIndex(window.actor, target);
             this._saveOrder();
         }
     }
@@ -1651,6 +2701,17 @@ class CinnamonWindowListApplet extends Applet.Applet {
         if (window.transient)
             window.actor.visible = !window.actor.visible;
 
+        /* Buttons moved into the overflow menu or a collapsed group stay
+         * hidden; one that left the current workspace drops out of the set. */
+        if (window._overflowed || window._collapsedInto) {
+            if (window.actor.visible) {
+                window.actor.visible = false;
+            } else {
+                window._overflowed = false;
+                window._collapsedInto = null;
+            }
+        }
+
         if (window.actor.visible)
             window.setIcon();
 
@@ -1732,6 +2793,7 @@ class CinnamonWindowListApplet extends Applet.Applet {
 
         this.refreshing = false;
 
+        this._syncLaunchers();
         this._applySavedOrder();
         this._updateAllIconGeometry();
     }
@@ -1744,27 +2806,12 @@ class CinnamonWindowListApplet extends Applet.Applet {
 
         let appButton = new AppMenuButton(this, metaWindow, transient);
 
-        let tracker = Cinnamon.WindowTracker.get_default();
-        let newApp = tracker.get_window_app(metaWindow);
-        let newAppId = newApp ? newApp.get_id() : null;
-        let title = metaWindow.get_title();
-        let pinRule = matchPinRule(this._parsedPinRules, newAppId, title);
-        appButton._pinPriority = pinRule ? pinRule.priority : null;
+        let newAppId = appButton.appId;
+        this._updatePinMatch(appButton);
 
         if (appButton._pinPriority !== null) {
             // Pinned window — insert at correct priority position
-            if (appButton._draggable) {
-                appButton._draggable.inhibit = true;
-            }
-            let children = this.manager_container.get_children();
-            let childInfo = children.map(child => {
-                let btn = child._delegate;
-                return {
-                    pinPriority: (btn && btn._pinPriority !== undefined) ? btn._pinPriority : null,
-                    appId: btn && btn.metaWindow ? (function() { let a = tracker.get_window_app(btn.metaWindow); return a ? a.get_id() : null; })() : null
-                };
-            });
-            let insertIndex = calcPinnedInsertionIndex(childInfo, appButton._pinPriority, newAppId);
+            let insertIndex = calcPinnedInsertionIndex(this._getPinnedChildInfo(), appButton._pinPriority, newAppId, appButton._pinAnchor);
             this.manager_container.insert_child_at_index(appButton.actor, insertIndex);
         } else if (this.groupWindows) {
             let children = this.manager_container.get_children();
@@ -1773,23 +2820,30 @@ class CinnamonWindowListApplet extends Applet.Applet {
                 if (!btn || !btn.metaWindow) return null;
                 // Skip pinned buttons when finding grouped siblings
                 if (btn._pinPriority !== null && btn._pinPriority !== undefined) return null;
-                let app = tracker.get_window_app(btn.metaWindow);
-                return app ? app.get_id() : null;
+                return btn.appId;
             });
             let insertIndex = calcGroupedInsertionIndex(existingAppIds, newAppId);
-            // Clamp so we never insert before the last pinned window
-            let pinnedCount = 0;
-            for (let i = 0; i < children.length; i++) {
-                let btn = children[i]._delegate;
-                if (btn && btn._pinPriority !== null && btn._pinPriority !== undefined) pinnedCount++;
-            }
-            if (insertIndex < pinnedCount) insertIndex = pinnedCount;
+            // Clamp so we never insert inside either pinned zone
+            let zones = this._getPinnedZones();
+            if (insertIndex < zones.leftEnd) insertIndex = zones.leftEnd;
+            if (insertIndex > zones.rightStart) insertIndex = zones.rightStart;
             this.manager_container.insert_child_at_index(appButton.actor, insertIndex);
         } else {
-            this.manager_container.add_actor(appButton.actor);
+            // Append, but ahead of any right-anchored pins; a window reopened
+            // during session restore takes its saved slot instead
+            let zones = this._getPinnedZones();
+            let insertIndex = zones.rightStart;
+            if (this._claimSavedSlot(appButton)) {
+                let slots = this.manager_container.get_children().map(child =>
+                    child._delegate instanceof AppMenuButton ? child._delegate._savedSlot : -1);
+                insertIndex = Math.min(zones.rightStart,
+                    Math.max(zones.leftEnd, calcRestoredInsertionIndex(slots, appButton._savedSlot)));
+            }
+            this.manager_container.insert_child_at_index(appButton.actor, insertIndex);
         }
 
         this._windows.push(appButton);
+        this._updateAppLabels(newAppId);
 
         /* We want to make the AppMenuButtons look like they are ordered by
          * workspace. So if we add an AppMenuButton for a window in another
@@ -1797,7 +2851,7 @@ class CinnamonWindowListApplet extends Applet.Applet {
          * default, so move it to the start if needed */
         if (transient) {
             if (metaWindow.get_workspace().index() < global.workspace_manager.get_active_workspace_index())
-                this.manager_container.set_child_at_index(appButton.actor, 0);
+                this._setChildIndex(appButton.actor, 0);
         } else {
             if (metaWindow.get_workspace() != global.workspace_manager.get_active_workspace()) {
                 if (!(this.showAllWorkspaces)) {
@@ -1806,12 +2860,12 @@ class CinnamonWindowListApplet extends Applet.Applet {
             }
         }
 
-        this._saveOrder();
-        this._updateAllIconGeometry();
-        this._recomputeAdaptiveRows();
+        this._queueWindowChanges();
     }
 
     _removeWindow(metaWindow) {
+        let removed = this._windows.find(window => window.metaWindow == metaWindow);
+        let appId = removed ? removed.appId : this._getAppId(metaWindow);
         let i = this._windows.length;
         // Do an inverse loop because we might remove some elements
         while (i--) {
@@ -1821,9 +2875,8 @@ class CinnamonWindowListApplet extends Applet.Applet {
             }
         }
 
-        this._saveOrder();
-        this._updateAllIconGeometry();
-        this._recomputeAdaptiveRows();
+        this._updateAppLabels(appId);
+        this._queueWindowChanges();
     }
 
     _shouldAdd(metaWindow) {
@@ -1832,30 +2885,45 @@ class CinnamonWindowListApplet extends Applet.Applet {
             this._monitorWatchList.indexOf(metaWindow.get_monitor()) != -1;
     }
 
-    /* Store by Windows (XIDs), a simple list
-       xid::xid::xid::xid::xid
-    */
+    /* The order is saved as a JSON list of window descriptors: XID, app id,
+     * WM_CLASS, title word hashes and workspace. XIDs only last a session (and
+     * do not exist under Wayland), so after a reboot windows are matched
+     * back to their slots on the rest. Windows that reopen after startup
+     * take their slots as they appear, until session restore goes quiet. */
+    _getWindowDescriptor(button) {
+        let workspace = button.metaWindow.get_workspace();
+        return {
+            xid: button.xid || null,
+            appId: button.appId,
+            wmClass: button.wmClass,
+            title: button.metaWindow.get_title(),
+            workspace: workspace ? workspace.index() : null
+        };
+    }
 
     _applySavedOrder() {
         if (this.groupWindows) return;
 
-        let order = this.lastWindowOrder.split("::");
-
-        order.reverse();
-
-        for (let i = 0; i < order.length; i++) {
-            let xid = parseInt(order[i]);
-
-            if (xid === NaN) {
-                continue;
-            }
-
-            let found = this._windows.find(win => (win.xid == xid));
-
-            if (found) {
-                this.manager_container.set_child_at_index(found.actor, 0);
+        let saved = parseSavedWindowOrder(this.lastWindowOrder);
+        let slots = matchSavedWindowOrder(saved, this._windows.map(window => this._getWindowDescriptor(window)));
+        let restored = [];
+        for (let i = 0; i < this._windows.length; i++) {
+            this._windows[i]._savedSlot = slots[i];
+            if (slots[i] >= 0) {
+                restored.push(this._windows[i]);
+                saved[slots[i]] = null;
             }
         }
+        restored.sort((a, b) => a._savedSlot - b._savedSlot);
+        for (let i = restored.length - 1; i >= 0; i--)
+            this._setChildIndex(restored[i].actor, 0);
+
+        // Slots left over are windows that have not reopened yet
+        this._endOrderRestore();
+        if (saved.some(descriptor => descriptor !== null)) {
+            this._restoreOrder = saved;
+            this._restartOrderRestoreTimer();
+        }
 
         // Pinning always wins over saved order
         if (this._parsedPinRules && this._parsedPinRules.length > 0) {
@@ -1865,24 +2933,64 @@ class CinnamonWindowListApplet extends Applet.Applet {
         }
     }
 
+    // Give a new window the best free slot of the order being restored.
+    // Returns whether it got one.
+    _claimSavedSlot(button) {
+        button._savedSlot = -1;
+        if (!this._restoreOrder) return false;
+        let slot = matchSavedWindowOrder(this._restoreOrder, [this._getWindowDescriptor(button)])[0];
+        if (slot < 0) return false;
+        button._savedSlot = slot;
+        this._restoreOrder[slot] = null;
+        if (this._restoreOrder.every(descriptor => descriptor === null)) {
+            this._endOrderRestore();
+        } else {
+            this._restartOrderRestoreTimer();
+        }
+        return true;
+    }
+
+    _restartOrderRestoreTimer() {
+        if (this._restoreOrderTimer) Mainloop.source_remove(this._restoreOrderTimer);
+        this._restoreOrderTimer = Mainloop.timeout_add_seconds(RESTORE_ORDER_QUIET_SECONDS, () => {
+            this._restoreOrderTimer = 0;
+            this._endOrderRestore();
+            this._saveOrder();
+            return false;
+        });
+    }
+
+    _endOrderRestore() {
+        if (this._restoreOrderTimer) {
+            Mainloop.source_remove(this._restoreOrderTimer);
+            this._restoreOrderTimer = 0;
+        }
+        this._restoreOrder = null;
+    }
+
     _saveOrder() {
         if (this.refreshing) {
             return;
         }
 
-        let new_order = [];
+        // List order, not screen position: the layout maps it to cells, row
+        // or column first, so a saved order restores under either mapping
+        let current = [];
         let actors = this.manager_container.get_children();
 
         for (let i = 0; i < actors.length; i++) {
-            new_order.push(actors[i]._delegate.xid);
+            let btn = actors[i]._delegate;
+            if (!(btn instanceof AppMenuButton)) continue;
+            let descriptor = this._getWindowDescriptor(btn);
+            descriptor.words = calcTitleHashes(descriptor.title);
+            delete descriptor.title;
+            current.push({ descriptor: descriptor, slot: btn._savedSlot });
         }
 
-        if (new_order.length === 0) {
-            this.lastWindowOrder = "";
-            return;
-        }
-
-        this.lastWindowOrder = new_order.join("::");
+        // Keep the slots of windows still to reopen
+        let order = this._restoreOrder ? mergeSavedWindowOrder(this._restoreOrder, current)
+            : current.map(entry => entry.descriptor);
+        this.lastWindowOrder = order.length > 0 ? JSON.stringify(order) : "";
     }
 
     _onPinRulesChanged() {
@@ -1892,34 +3000,290 @@ class CinnamonWindowListApplet extends Applet.Applet {
         this._applyPinRules();
     }
 
+    _onTitleRewriteRulesChanged() {
+        this._titleRewrites = parseTitleRewriteRules(this.titleRewriteRules || '[]');
+        this._updateLabelTexts();
+    }
+
+    _updateLabelTexts() {
+        for (let window of this._windows)
+            window._distinctive = null;
+        for (let window of this._windows)
+            window.updateLabelText();
+    }
+
+    _onAppOverridesChanged() {
+        this._appOverrides = parseAppOverrides(this.appOverrides || '{}');
+        for (let window of this._windows) {
+            window.setIcon();
+            window.updateLabelVisible();
+            window.actor.queue_relayout();
+        }
+        for (let group of this._groupButtons.values())
+            group.setIcon();
+        for (let launcher of this._launchers.values())
+            launcher.setIcon();
+        this._recomputeAdaptiveRows();
+    }
+
+    // field: 'label', 'width' or 'icon'; null resets it to the panel-wide setting
+    _setAppOverride(appId, field, value) {
+        let raw;
+        try { raw = JSON.parse(this.appOverrides || '{}'); } catch (e) { raw = {}; }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) raw = {};
+        this.appOverrides = JSON.stringify(setAppOverride(raw, appId, field, value));
+        // Same as _savePinRules: don't wait for the async settings callback
+        this._onAppOverridesChanged();
+    }
+
+    // Icon name override for an app whose own icon is missing or wrong
+    _showAppIconDialog(appId) {
+        let dialog = new ModalDialog.ModalDialog();
+        let override = this._getAppOverride(appId);
+
+        let titleLabel = new St.Label({ text: _("Icon for %s").format(appId) });
+        titleLabel.style = 'font-size: 1.2em; font-weight: bold; padding-bottom: 8px;';
+        dialog.contentLayout.add(titleLabel);
+
+        let row = new St.BoxLayout({ vertical: false });
+        let iconLabel = new St.Label({ text: _("Icon name: ") });
+        iconLabel.style = 'padding-top: 4px;';
+        row.add(iconLabel);
+        let entry = new St.Entry({ text: override && override.icon ? override.icon : '', can_focus: true });
+        entry.set_width(250);
+        row.add(entry, { expand: true });
+        let preview = new St.Icon({ icon_name: entry.get_text() || 'application-default-icon',
+            icon_type: St.IconType.FULLCOLOR, icon_size: 24 });
+        preview.style = 'padding-left: 8px;';
+        row.add(preview);
+        dialog.contentLayout.add(row);
+        entry.clutter_text.connect('text-changed', () => {
+            preview.set_icon_name(entry.get_text().trim() || 'application-default-icon');
+        });
+
+        let hint = new St.Label({ text: _("A themed icon name such as utilities-terminal. Leave empty to use the app's own icon.") });
+        hint.style = 'font-size: 0.9em; color: #888; padding-top: 4px;';
+        dialog.contentLayout.add(hint);
+
+        dialog.setButtons([
+            { label: _("Cancel"), action: () => dialog.destroy(), key: Clutter.KEY_Escape },
+            { label: _("Save"), action: () => {
+                this._setAppOverride(appId, 'icon', entry.get_text().trim() || null);
+                dialog.destroy();
+            }, default: true }
+        ]);
+        dialog.open();
+        entry.grab_key_focus();
+    }
+
+    _getAppOverride(appId) {
+        return (appId && this._appOverrides[appId]) || null;
+    }
+
+    _getOverrideIcon(appId, size) {
+        let override = this._getAppOverride(appId);
+        if (!override || !override.icon) return null;
+        return new St.Icon({ icon_name: override.icon, icon_type: St.IconType.FULLCOLOR, icon_size: size });
+    }
+
+    /* Width scale from the app's override. Only labelled buttons on a
+     * horizontal panel are scaled; icon-only ones keep their icon width. */
+    _getWidthScale(button) {
+        if (this.orientation != St.Side.TOP && this.orientation != St.Side.BOTTOM) return 1;
+        if (!button.labelVisiblePref) return 1;
+        let override = this._getAppOverride(button.appId);
+        return override && override.width !== null ? override.width : 1;
+    }
+
+    _usesDistinctiveTitles() {
+        return this.compactEllipsize === 'smart' && this._getLayoutMode() === 'compact';
+    }
+
+    // An app's window changed title, opened or closed: drop the group's
+    // distinctive parts and relabel the other windows
+    _updateAppLabels(appId, except) {
+        let group = this._windows.filter(window => window.appId === appId);
+        for (let window of group)
+            window._distinctive = null;
+        if (!this._usesDistinctiveTitles()) return;
+        for (let window of group) {
+            if (window !== except)
+                window.updateLabelText();
+        }
+    }
+
+    /* A window's title with what it shares with its same-app siblings cut
+     * away. calcDistinctiveTitles runs once per app group; every member
+     * keeps its part until _updateAppLabels drops them. */
+    _getDistinctiveTitle(button) {
+        if (!button._distinctive) {
+            // The button may not be in _windows yet while it is being constructed
+            let group = this._windows.filter(window => window !== button
+                && window._title !== undefined && window.appId === button.appId);
+            group.push(button);
+            let result = calcDistinctiveTitles(group.map(window => window.getRewrittenTitle()));
+            group.forEach((window, i) => {
+                window._distinctive = { part: result.parts[i], ellipsize: result.ellipsize };
+            });
+        }
+        return button._distinctive;
+    }
+
+    _saveTitleRewriteRules(rawArray) {
+        this.titleRewriteRules = JSON.stringify(rawArray);
+        // Same as _savePinRules: don't wait for the async settings callback
+        this._onTitleRewriteRulesChanged();
+    }
+
+    /* App id used for pin rules and grouping. Windows Cinnamon could not
+     * match to a .desktop file get a session-only window:<n> id; key those
+     * on their WM_CLASS instead so rules survive a restart. Window buttons
+     * keep theirs in appId; this is for windows without one. */
+    _getAppId(metaWindow) {
+        let app = Cinnamon.WindowTracker.get_default().get_window_app(metaWindow);
+        return resolveStableAppId(app ? app.get_id() : null, metaWindow.get_wm_class());
+    }
+
+    // Window properties pin rules can match on besides app id and title
+    _getPinMatchInfo(metaWindow) {
+        let workspace = metaWindow.get_workspace();
+        return {
+            wmClass: metaWindow.get_wm_class(),
+            role: metaWindow.get_role(),
+            workspace: workspace ? workspace.index() : null,
+            monitor: metaWindow.get_monitor(),
+            allWorkspaces: metaWindow.is_on_all_workspaces()
+        };
+    }
+
+    // Pin rule for a window button, from its cached app ids
+    _matchButtonPinRule(button) {
+        let mw = button.metaWindow;
+        return matchPinRule(this._parsedPinRules, button.appIdCandidates,
+            mw.get_title(), this._getPinMatchInfo(mw));
+    }
+
+    // Match a button against the pin rules and keep the result on it
+    _updatePinMatch(button) {
+        let rule = this._matchButtonPinRule(button);
+        let priority = rule ? rule.priority : null;
+        let anchor = rule ? rule.anchor : null;
+        if (priority !== button._pinPriority || anchor !== button._pinAnchor)
+            this._pinnedZones = null;
+        button._pinRule = rule;
+        button._pinPriority = priority;
+        button._pinAnchor = anchor;
+    }
+
+    /* Bounds of the pinned zones, shared by insertion, overflow, launchers
+     * and drag and drop. Kept until the children or their pins change:
+     * additions and removals clear it through the container signals,
+     * reorders through _setChildIndex and _updatePinMatch. */
+    _getPinnedZones() {
+        if (!this._pinnedZones)
+            this._pinnedZones = calcPinnedZones(this._getPinnedChildInfo());
+        return this._pinnedZones;
+    }
+
+    _setChildIndex(actor, index) {
+        this.manager_container.set_child_at_index(actor, index);
+        this._pinnedZones = null;
+        // The cells follow the child order
+        this._queueRecomputeAdaptiveRows();
+    }
+
+    // Map each open window's synthetic id to its stable wmclass: id
+    _getSyntheticAppIdMap() {
+        let idMap = {};
+        for (let window of this._windows) {
+            let [stableId, rawId] = window.appIdCandidates;
+            if (rawId && isSyntheticAppId(rawId)) idMap[rawId] = stableId;
+        }
+        return idMap;
+    }
+
+    // Pin priority, anchor and app id of every container child, for
+    // calcPinnedInsertionIndex and calcPinnedZones
+    _getPinnedChildInfo() {
+        return this.manager_container.get_children().map(child => {
+            let btn = child._delegate;
+            let appId = null;
+            if (btn instanceof LauncherButton || btn instanceof AppMenuButton)
+                appId = btn.appId;
+            return {
+                pinPriority: (btn && btn._pinPriority !== undefined) ? btn._pinPriority : null,
+                pinAnchor: btn ? btn._pinAnchor : undefined,
+                appId: appId
+            };
+        });
+    }
+
+    /* Keep one LauncherButton for every launcher rule no open window matches.
+     * New launchers go where a window of that rule would be inserted; rules
+     * whose app id has no .desktop entry (e.g. wmclass: ids) cannot be
+     * launched and get no button. */
+    _syncLaunchers() {
+        let matched = this._windows.map(window => window._pinRule);
+        let appSystem = Cinnamon.AppSystem.get_default();
+        let wanted = new Map();
+        for (let rule of calcLauncherRules(this._parsedPinRules, matched)) {
+            let key = rule.priority + ' ' + rule.appId;
+            let launcher = this._launchers.get(key);
+            if (!launcher) {
+                let app = appSystem.lookup_app(rule.appId);
+                if (!app) continue;
+                launcher = new LauncherButton(this, rule, app);
+                let insertIndex = calcPinnedInsertionIndex(this._getPinnedChildInfo(), rule.priority, rule.appId, rule.anchor);
+                this.manager_container.insert_child_at_index(launcher.actor, insertIndex);
+            }
+            wanted.set(key, launcher);
+        }
+        for (let [key, launcher] of this._launchers) {
+            if (!wanted.has(key))
+                launcher.destroy();
+        }
+        this._launchers = wanted;
+    }
+
     _applyPinRules() {
-        let tracker = Cinnamon.WindowTracker.get_default();
+        // Re-match first: _syncLaunchers reads each window's cached rule
+        for (let window of this._windows)
+            this._updatePinMatch(window);
+        this._syncLaunchers();
         let children = this.manager_container.get_children();
         let buttons = [];
         for (let i = 0; i < children.length; i++) {
             let btn = children[i]._delegate;
+            if (btn instanceof LauncherButton) {
+                buttons.push({
+                    pinPriority: btn._pinPriority,
+                    pinAnchor: btn._pinAnchor,
+                    appId: btn.appId,
+                    title: '',
+                    originalIndex: buttons.length,
+                    actor: children[i]
+                });
+                continue;
+            }
             if (!btn || !btn.metaWindow) continue;
-            let app = tracker.get_window_app(btn.metaWindow);
-            let appId = app ? app.get_id() : null;
             let title = btn.metaWindow.get_title();
-            let rule = matchPinRule(this._parsedPinRules, appId, title);
-            btn._pinPriority = rule ? rule.priority : null;
-            if (btn._draggable) {
-                btn._draggable.inhibit = btn._pinPriority !== null || global.settings.get_boolean("panel-edit-mode");
-            }
             buttons.push({
                 pinPriority: btn._pinPriority,
-                appId: appId,
+                pinAnchor: btn._pinAnchor,
+                appId: btn.appId,
                 title: title || '',
-                originalIndex: i,
+                originalIndex: buttons.length,
                 actor: children[i]
             });
         }
         let newOrder = calcSortedButtonOrder(buttons);
         for (let i = 0; i < newOrder.length; i++) {
-            this.manager_container.set_child_at_index(buttons[newOrder[i]].actor, i);
+            this._setChildIndex(buttons[newOrder[i]].actor, i);
         }
         this._saveOrder();
+        // A window that gains or loses a pin moves in or out of the pinned row
+        if (this.pinnedRow !== 'off')
+            this._queueRecomputeAdaptiveRows();
     }
 
     _nextPinPriority() {
@@ -1939,48 +3303,90 @@ class CinnamonWindowListApplet extends Applet.Applet {
         this._onPinRulesChanged();
     }
 
-    _addPinRule(appId, titlePattern, priority) {
+    // extra: optional rule fields (launcher, wmClass, role, workspace, ...)
+    _addPinRule(appId, titlePattern, priority, extra) {
         let raw = this._rawPinRules ? this._rawPinRules.slice() : [];
-        raw.push({ appId: appId, title: titlePattern, priority: priority });
+        raw.push(Object.assign({ appId: appId, title: titlePattern, priority: priority }, extra));
         this._savePinRules(raw);
     }
 
+    // Profile names for the switcher, the active one included even before it
+    // has been stored
+    _getPinProfileNames() {
+        let names = Object.keys(parsePinProfiles(this.pinProfiles || '{}'));
+        if (names.indexOf(this.activePinProfile) === -1)
+            names.push(this.activePinProfile);
+        return names.sort((a, b) => a.localeCompare(b));
+    }
+
+    _switchPinProfile(name) {
+        if (name === this.activePinProfile) return;
+        let result = switchPinProfile(parsePinProfiles(this.pinProfiles || '{}'),
+            this.activePinProfile, this._rawPinRules, name);
+        this.pinProfiles = JSON.stringify(result.profiles);
+        this.activePinProfile = name;
+        this._savePinRules(result.rules);
+    }
+
+    // Store rules as a (new or replaced) profile and make it active
+    _savePinProfileAs(name, rules) {
+        let profiles = parsePinProfiles(this.pinProfiles || '{}');
+        if (name === this.activePinProfile) {
+            this._savePinRules(rules);
+            return;
+        }
+        profiles[name] = rules;
+        this.pinProfiles = JSON.stringify(profiles);
+        this._switchPinProfile(name);
+    }
+
     _unpinWindow(button) {
-        let tracker = Cinnamon.WindowTracker.get_default();
-        let app = tracker.get_window_app(button.metaWindow);
-        let appId = app ? app.get_id() : null;
-        let title = button.metaWindow.get_title();
-        let rule = matchPinRule(this._parsedPinRules, appId, title);
+        let rule = button._pinRule;
         if (!rule) return;
         this._savePinRules(filterPinRule(this._rawPinRules, rule.appId, rule.priority));
     }
 
-    _showPinDialog(button) {
-        let tracker = Cinnamon.WindowTracker.get_default();
-        let app = tracker.get_window_app(button.metaWindow);
-        let appId = app ? app.get_id() : null;
+    /* drop: set when an unpinned window was dragged into a pinned zone,
+     * {anchor, ordered} as from _getZoneOrder. The rule then takes the
+     * dropped position instead of a typed priority. */
+    _showPinDialog(button, drop) {
+        let appId = button.appId;
         let title = button.metaWindow.get_title() || '';
-        let escapedTitle = title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         let priority = this._nextPinPriority();
 
         let dialog = new ModalDialog.ModalDialog();
 
-        // Regex row: / [entry] /
+        // Pattern row: [mode] / [entry] /, slashes shown for the regex modes.
+        // Starts as the literal title, which is what the old escaped regex matched.
         let regexLabel = new St.Label({ text: _("Title pattern:") });
         dialog.contentLayout.add(regexLabel);
 
+        let matchMode = 'contains';
         let regexRow = new St.BoxLayout({ vertical: false });
         let slashLeft = new St.Label({ text: ' / ' });
         slashLeft.style = 'font-size: 1.2em; font-family: monospace; padding-top: 2px;';
+        let slashRight = new St.Label({ text: ' / ' });
+        slashRight.style = 'font-size: 1.2em; font-family: monospace; padding-top: 2px;';
+        let updatePreview = () => {};
+        let modeButton = this._makeMatchModeButton(matchMode, mode => {
+            matchMode = mode;
+            slashLeft.visible = slashRight.visible = mode.startsWith('regex');
+            updatePreview();
+        });
+        regexRow.add(modeButton);
         regexRow.add(slashLeft);
-        let entry = new St.Entry({ text: escapedTitle, can_focus: true });
+        let entry = new St.Entry({ text: title, can_focus: true });
         entry.set_width(350);
         regexRow.add(entry, { expand: true });
-        let slashRight = new St.Label({ text: ' / ' });
-        slashRight.style = 'font-size: 1.2em; font-family: monospace; padding-top: 2px;';
         regexRow.add(slashRight);
+        slashLeft.visible = slashRight.visible = false;
         dialog.contentLayout.add(regexRow);
 
+        let previewLabel = new St.Label({ text: '' });
+        previewLabel.style = 'font-size: 0.9em; padding: 4px 0;';
+        previewLabel.get_clutter_text().set_line_wrap(true);
+        dialog.contentLayout.add(previewLabel);
+
         // Priority row
         let priorityRow = new St.BoxLayout({ vertical: false });
         let priorityLabel = new St.Label({ text: _("Priority: ") });
@@ -1991,17 +3397,108 @@ class CinnamonWindowListApplet extends Applet.Applet {
         priorityRow.add(priorityEntry);
         dialog.contentLayout.add(priorityRow);
 
+        // Right pins count priority from the right edge of the list
+        let rightCheck = new CheckBox.CheckBox(_("Pin to the right end of the list"), null, false);
+        rightCheck.actor.style = 'padding-top: 6px;';
+        dialog.contentLayout.add(rightCheck.actor);
+
+        if (drop) {
+            priorityRow.hide();
+            rightCheck.actor.hide();
+            let dropLabel = new St.Label({ text: drop.anchor === 'right'
+                ? _("The window will be pinned where you dropped it in the right pinned group.")
+                : _("The window will be pinned where you dropped it in the left pinned group.") });
+            dropLabel.style = 'padding-top: 6px;';
+            dialog.contentLayout.add(dropLabel);
+        }
+
+        // Only apps with a .desktop entry can be started from a launcher slot
+        let launcherCheck = new CheckBox.CheckBox(_("Keep a launcher in this slot while the app is closed"), null, false);
+        launcherCheck.actor.style = 'padding-top: 6px;';
+        if (!Cinnamon.AppSystem.get_default().lookup_app(appId))
+            launcherCheck.actor.reactive = false;
+        dialog.contentLayout.add(launcherCheck.actor);
+
+        // Optional narrowing on the window's current properties, all off by default
+        let info = this._getPinMatchInfo(button.metaWindow);
+        let fieldChoices = [];
+        if (info.wmClass)
+            fieldChoices.push({ field: 'wmClass', value: info.wmClass, label: _("WM_CLASS is %s").format(info.wmClass) });
+        if (info.role)
+            fieldChoices.push({ field: 'role', value: info.role, label: _("Window role is %s").format(info.role) });
+        if (info.allWorkspaces) {
+            fieldChoices.push({ field: 'allWorkspaces', value: true, label: _("Window is on all workspaces") });
+        } else if (info.workspace !== null) {
+            let name = Main.workspace_names[info.workspace] ? Main.workspace_names[info.workspace] : Main._makeDefaultWorkspaceName(info.workspace);
+            fieldChoices.push({ field: 'workspace', value: info.workspace,
+                label: _("Window is on workspace %s").format(name) });
+        }
+        if (global.display.get_n_monitors() > 1)
+            fieldChoices.push({ field: 'monitor', value: info.monitor, label: _("Window is on monitor %d").format(info.monitor + 1) });
+
+        if (fieldChoices.length > 0) {
+            let matchLabel = new St.Label({ text: _("Only match when:") });
+            matchLabel.style = 'padding-top: 8px;';
+            dialog.contentLayout.add(matchLabel);
+        }
+        for (let choice of fieldChoices) {
+            choice.check = new CheckBox.CheckBox(choice.label, null, false);
+            dialog.contentLayout.add(choice.check.actor);
+        }
         // Info
         let infoLabel = new St.Label({ text: _("App: %s").format(appId || 'unknown') });
         infoLabel.style = 'font-size: 0.9em; color: #888; padding-top: 4px;';
         dialog.contentLayout.add(infoLabel);
 
+        let buildExtra = () => {
+            let extra = {};
+            if (matchMode !== 'regex') extra.match = matchMode;
+            if (launcherCheck.actor.checked) extra.launcher = true;
+            if (rightCheck.actor.checked || (drop && drop.anchor === 'right')) extra.anchor = 'right';
+            for (let choice of fieldChoices) {
+                if (choice.check.actor.checked) extra[choice.field] = choice.value;
+            }
+            return extra;
+        };
+
+        // Validate as you type; a rule matching nothing needs a second Pin press
+        let previewWindows = this._getPreviewWindows();
+        let preview = null;
+        let confirmedEmpty = false;
+        updatePreview = () => {
+            confirmedEmpty = false;
+            let rule = Object.assign({ appId: appId, title: entry.get_text(), priority: 0 }, buildExtra());
+            preview = calcPinPreview(rule, previewWindows);
+            this._showPinPreview(previewLabel, preview, previewWindows);
+        };
+        entry.clutter_text.connect('text-changed', updatePreview);
+        for (let choice of fieldChoices)
+            choice.check.actor.connect('clicked', updatePreview);
+        updatePreview();
+
         dialog.setButtons([
             { label: _("Cancel"), action: () => dialog.destroy(), key: Clutter.KEY_Escape },
             { label: _("Pin"), action: () => {
+                if (preview.error) return;
+                if (preview.matches.length === 0 && !confirmedEmpty) {
+                    confirmedEmpty = true;
+                    previewLabel.set_text(_("This rule matches no open window. Press Pin again to save it anyway."));
+                    return;
+                }
                 let p = parseInt(priorityEntry.get_text());
                 if (isNaN(p)) p = priority;
-                this._addPinRule(appId, entry.get_text(), p);
+                let extra = buildExtra();
+                if (drop) {
+                    // Add at a free priority, then let the reorder move it into place
+                    let raw = this._rawPinRules.concat([
+                        Object.assign({ appId: appId, title: entry.get_text(), priority: priority }, extra)
+                    ]);
+                    let ordered = drop.ordered.map(item => item.priority === null
+                        ? { appId: appId, priority: priority } : item);
+                    this._savePinRules(calcPinReorder(raw, ordered, drop.anchor));
+                } else {
+                    this._addPinRule(appId, entry.get_text(), p, extra);
+                }
                 dialog.destroy();
             }, default: true }
         ]);
@@ -2010,10 +3507,57 @@ class CinnamonWindowListApplet extends Applet.Applet {
         global.stage.set_key_focus(entry.clutter_text);
     }
 
+    // Button cycling through the title match modes; onChange gets the new mode
+    _makeMatchModeButton(mode, onChange) {
+        let names = {
+            'regex': _("Regex"),
+            'regex-i': _("Regex (any case)"),
+            'glob': _("Glob"),
+            'contains': _("Contains"),
+            'exact': _("Exact")
+        };
+        let modeButton = new St.Button({ label: names[mode], can_focus: true, style_class: 'modal-dialog-button' });
+        modeButton.connect('clicked', () => {
+            mode = TITLE_MATCH_MODES[(TITLE_MATCH_MODES.indexOf(mode) + 1) % TITLE_MATCH_MODES.length];
+            modeButton.set_label(names[mode]);
+            onChange(mode);
+        });
+        return modeButton;
+    }
+
+    // Open windows in the form calcPinPreview takes
+    _getPreviewWindows() {
+        return this._windows.filter(window => !window.transient).map(window => ({
+            appIds: window.appIdCandidates,
+            title: window.metaWindow.get_title() || '',
+            info: this._getPinMatchInfo(window.metaWindow)
+        }));
+    }
+
+    // Show a calcPinPreview result: the compile error, or the matching titles
+    _showPinPreview(label, preview, windows) {
+        const MAX_LISTED = 5;
+        if (preview.error) {
+            label.style = 'font-size: 0.9em; padding: 4px 0; color: #e66;';
+            label.set_text(_("Invalid rule: %s").format(preview.error));
+            return;
+        }
+        if (preview.matches.length === 0) {
+            label.style = 'font-size: 0.9em; padding: 4px 0; color: #c90;';
+            label.set_text(_("Matches no open window"));
+            return;
+        }
+        label.style = 'font-size: 0.9em; padding: 4px 0; color: #888;';
+        let titles = preview.matches.slice(0, MAX_LISTED).map(i => '\u2022 ' + windows[i].title);
+        if (preview.matches.length > MAX_LISTED)
+            titles.push(_("\u2026and %d more").format(preview.matches.length - MAX_LISTED));
+        label.set_text(_("Matches %d open window(s):").format(preview.matches.length) + '\n' + titles.join('\n'));
+    }
+
     _showPinRulesEditor() {
         let dialog = new ModalDialog.ModalDialog();
 
-        let titleLabel = new St.Label({ text: _("Pin Rules") });
+        let titleLabel = new St.Label({ text: _("Pin Rules \u2014 %s").format(this.activePinProfile) });
         titleLabel.style = 'font-size: 1.2em; font-weight: bold; padding-bottom: 8px;';
         dialog.contentLayout.add(titleLabel);
 
@@ -2021,8 +3565,19 @@ class CinnamonWindowListApplet extends Applet.Applet {
         let header = new St.BoxLayout({ vertical: false, style: 'padding-bottom: 4px;' });
         let hPri = new St.Label({ text: _("Priority"), style: 'width: 60px; font-weight: bold;' });
         let hApp = new St.Label({ text: _("App"), style: 'width: 160px; font-weight: bold;' });
+        let hMode = new St.Label({ text: _("Match"), style: 'width: 120px; font-weight: bold;' });
         let hTitle = new St.Label({ text: _("Title Pattern"), style: 'width: 280px; font-weight: bold;' });
-        header.add(hPri); header.add(hApp); header.add(hTitle);
+        let hWmClass = new St.Label({ text: _("WM_CLASS"), style: 'width: 120px; font-weight: bold;' });
+        let hRole = new St.Label({ text: _("Role"), style: 'width: 100px; font-weight: bold;' });
+        let hWorkspace = new St.Label({ text: _("Ws"), style: 'width: 45px; font-weight: bold;' });
+        let hMonitor = new St.Label({ text: _("Mon"), style: 'width: 45px; font-weight: bold;' });
+        let hAllWorkspaces = new St.Label({ text: _("All ws"), style: 'width: 55px; font-weight: bold;' });
+        let hRight = new St.Label({ text: _("Right"), style: 'width: 50px; font-weight: bold;' });
+        let hLauncher = new St.Label({ text: _("Launcher"), style: 'width: 70px; font-weight: bold;' });
+        let hMatches = new St.Label({ text: _("Matches"), style: 'font-weight: bold;' });
+        header.add(hPri); header.add(hApp); header.add(hMode); header.add(hTitle);
+        header.add(hWmClass); header.add(hRole); header.add(hWorkspace); header.add(hMonitor);
+        header.add(hAllWorkspaces); header.add(hRight); header.add(hLauncher); header.add(hMatches);
         dialog.contentLayout.add(header);
 
         // Scrollable rule rows
@@ -2035,10 +3590,51 @@ class CinnamonWindowListApplet extends Applet.Applet {
         scrollView.add_actor(rowContainer);
         dialog.contentLayout.add(scrollView);
 
+        let fieldsHint = new St.Label({ text: _("Leave WM_CLASS, Role, Ws (workspace) and Mon (monitor) empty to match any window. Workspace and monitor numbers start at 0.") });
+        fieldsHint.style = 'font-size: 0.9em; color: #888; padding-top: 4px;';
+        dialog.contentLayout.add(fieldsHint);
+
+        // Full match list for the row being edited
+        let previewLabel = new St.Label({ text: '' });
+        previewLabel.style = 'font-size: 0.9em; padding: 4px 0;';
+        previewLabel.get_clutter_text().set_line_wrap(true);
+        dialog.contentLayout.add(previewLabel);
+
         let rowWidgets = [];
+        let previewWindows = this._getPreviewWindows();
+        let confirmedEmpty = false;
+
+        function collectRow(w) {
+            return { appId: w.appId, title: w.titleEntry.get_text(), match: w.matchMode, priority: w.priorityEntry.get_text(),
+                launcher: w.launcherCheck.actor.checked,
+                wmClass: w.wmClassEntry.get_text(), role: w.roleEntry.get_text(),
+                workspace: w.workspaceEntry.get_text(), monitor: w.monitorEntry.get_text(),
+                allWorkspaces: w.allWorkspacesCheck.actor.checked,
+                anchor: w.rightCheck.actor.checked ? 'right' : 'left' };
+        }
 
-        function addRow(rule) {
+        // Priority does not affect matching, so a half-typed one still previews
+        let updateRowPreview = (w, showDetail) => {
+            let row = collectRow(w);
+            row.priority = 0;
+            w.preview = calcPinPreview(buildEditorRules([row])[0], previewWindows);
+            if (w.preview.error) {
+                w.statusLabel.style = 'padding: 4px 8px; color: #e66;';
+                w.statusLabel.set_text(_("invalid"));
+            } else {
+                w.statusLabel.style = w.preview.matches.length === 0
+                    ? 'padding: 4px 8px; color: #c90;' : 'padding: 4px 8px; color: #888;';
+                w.statusLabel.set_text(w.preview.matches.length.toString());
+            }
+            if (showDetail) {
+                confirmedEmpty = false;
+                this._showPinPreview(previewLabel, w.preview, previewWindows);
+            }
+        };
+
+        let addRow = (rule) => {
             let row = new St.BoxLayout({ vertical: false, style: 'padding: 2px 0;' });
+            let widgets;
 
             let priEntry = new St.Entry({ text: rule.priority.toString(), can_focus: true });
             priEntry.set_width(50);
@@ -2048,7 +3644,14 @@ class CinnamonWindowListApplet extends Applet.Applet {
             appLabel.style = 'width: 150px; padding: 4px 8px;';
             row.add(appLabel);
 
-            // / regex /
+            let modeButton = this._makeMatchModeButton(rule.match || 'regex', mode => {
+                widgets.matchMode = mode;
+                updateRowPreview(widgets, true);
+            });
+            modeButton.style = 'width: 110px;';
+            row.add(modeButton);
+
+            // / pattern /
             let slash1 = new St.Label({ text: ' /', style: 'font-family: monospace; padding-top: 4px;' });
             row.add(slash1);
             let titleEntry = new St.Entry({ text: rule.title || '', can_focus: true });
@@ -2057,6 +3660,35 @@ class CinnamonWindowListApplet extends Applet.Applet {
             let slash2 = new St.Label({ text: '/ ', style: 'font-family: monospace; padding-top: 4px;' });
             row.add(slash2);
 
+            // Window fields; empty matches any window
+            let fieldEntry = function(value, width) {
+                let fieldText = (value === undefined || value === null) ? '' : value.toString();
+                let fieldWidget = new St.Entry({ text: fieldText, can_focus: true });
+                fieldWidget.set_width(width);
+                row.add(fieldWidget);
+                return fieldWidget;
+            };
+            let wmClassEntry = fieldEntry(rule.wmClass, 115);
+            let roleEntry = fieldEntry(rule.role, 95);
+            let workspaceEntry = fieldEntry(rule.workspace, 40);
+            let monitorEntry = fieldEntry(rule.monitor, 40);
+
+            let allWorkspacesCheck = new CheckBox.CheckBox('', null, rule.allWorkspaces === true);
+            allWorkspacesCheck.actor.style = 'padding-top: 4px; width: 55px;';
+            row.add(allWorkspacesCheck.actor);
+
+            let rightCheck = new CheckBox.CheckBox('', null, rule.anchor === 'right');
+            rightCheck.actor.style = 'padding-top: 4px; width: 50px;';
+            row.add(rightCheck.actor);
+
+            let launcherCheck = new CheckBox.CheckBox('', null, rule.launcher === true);
+            launcherCheck.actor.style = 'padding-top: 4px; width: 70px;';
+            row.add(launcherCheck.actor);
+
+            let statusLabel = new St.Label({ text: '' });
+            statusLabel.style = 'padding: 4px 8px;';
+            row.add(statusLabel);
+
             // Delete button
             let deleteBtn = new St.Button({ can_focus: true, style_class: 'modal-dialog-button' });
             let deleteIcon = new St.Icon({ icon_name: 'edit-delete', icon_size: 16, icon_type: St.IconType.SYMBOLIC });
@@ -2069,8 +3701,18 @@ class CinnamonWindowListApplet extends Applet.Applet {
             row.add(deleteBtn);
 
             rowContainer.add(row);
-            rowWidgets.push({ priorityEntry: priEntry, titleEntry: titleEntry, appId: rule.appId, row: row });
-        }
+            widgets = { priorityEntry: priEntry, titleEntry: titleEntry, matchMode: rule.match || 'regex', launcherCheck: launcherCheck, rightCheck: rightCheck,
+                wmClassEntry: wmClassEntry, roleEntry: roleEntry, workspaceEntry: workspaceEntry,
+                monitorEntry: monitorEntry, allWorkspacesCheck: allWorkspacesCheck,
+                appId: rule.appId, appLabel: appLabel, statusLabel: statusLabel, preview: null, row: row };
+            rowWidgets.push(widgets);
+
+            for (let entry of [titleEntry, wmClassEntry, roleEntry, workspaceEntry, monitorEntry])
+                entry.clutter_text.connect('text-changed', () => updateRowPreview(widgets, true));
+            allWorkspacesCheck.actor.connect('clicked', () => updateRowPreview(widgets, true));
+            titleEntry.clutter_text.connect('key-focus-in', () => updateRowPreview(widgets, true));
+            updateRowPreview(widgets, false);
+        };
 
         // Sort raw by priority for display
         let sorted = this._rawPinRules.slice().sort((a, b) => a.priority - b.priority);
@@ -2079,22 +3721,312 @@ class CinnamonWindowListApplet extends Applet.Applet {
         }
 
         // Empty state
+        let emptyLabel = null;
         if (sorted.length === 0) {
-            let emptyLabel = new St.Label({ text: _("No pin rules. Right-click a window and choose 'Pin this window' to add one.") });
+            emptyLabel = new St.Label({ text: _("No pin rules. Right-click a window and choose 'Pin this window' to add one.") });
             emptyLabel.style = 'color: #888; padding: 16px 0;';
             rowContainer.add(emptyLabel);
         }
 
+        function collectRules() {
+            return buildEditorRules(rowWidgets.map(collectRow));
+        }
+
+        // Profiles: save the rules shown here under a new name
+        let profileRow = new St.BoxLayout({ vertical: false, style: 'padding-top: 8px;' });
+        let profileLabel = new St.Label({ text: _("New profile:") });
+        profileLabel.style = 'padding: 4px 8px 0 0;';
+        profileRow.add(profileLabel);
+        let profileEntry = new St.Entry({ text: '', can_focus: true });
+        profileEntry.set_width(200);
+        profileRow.add(profileEntry);
+        let saveProfileBtn = new St.Button({ label: _("Save as profile"), can_focus: true, style_class: 'modal-dialog-button' });
+        profileRow.add(saveProfileBtn);
+        dialog.contentLayout.add(profileRow);
+
+        // Import/export of the rules shown here
+        let fileRow = new St.BoxLayout({ vertical: false, style: 'padding-top: 4px;' });
+        let fileLabel = new St.Label({ text: _("File:") });
+        fileLabel.style = 'padding: 4px 8px 0 0;';
+        fileRow.add(fileLabel);
+        let fileEntry = new St.Entry({
+            text: GLib.build_filenamev([GLib.get_home_dir(), calcPinRuleFileName(this.activePinProfile)]),
+            can_focus: true
+        });
+        fileEntry.set_width(360);
+        fileRow.add(fileEntry, { expand: true });
+        let importBtn = new St.Button({ label: _("Import"), can_focus: true, style_class: 'modal-dialog-button' });
+        fileRow.add(importBtn);
+        let exportBtn = new St.Button({ label: _("Export"), can_focus: true, style_class: 'modal-dialog-button' });
+        fileRow.add(exportBtn);
+        dialog.contentLayout.add(fileRow);
+
+        let statusLabel = new St.Label({ text: '' });
+        statusLabel.style = 'font-size: 0.9em; color: #888; padding-top: 4px;';
+        statusLabel.get_clutter_text().set_line_wrap(true);
+        dialog.contentLayout.add(statusLabel);
+
+        saveProfileBtn.connect('clicked', () => {
+            let name = profileEntry.get_text().trim();
+            if (!name) {
+                statusLabel.set_text(_("Enter a name for the new profile."));
+                return;
+            }
+            this._savePinProfileAs(name, collectRules());
+            dialog.destroy();
+        });
+
+        exportBtn.connect('clicked', () => {
+            let path = fileEntry.get_text().trim();
+            let rules = collectRules();
+            try {
+                GLib.file_set_contents(path, buildPinRuleExport(this.activePinProfile, rules));
+                statusLabel.set_text(_("Exported %d rule(s) to %s.").format(rules.length, path));
+            } catch (e) {
+                statusLabel.set_text(_("Export failed: %s").format(e.message));
+            }
+        });
+
+        // Imported rules replace the rows; nothing is stored until Save
+        importBtn.connect('clicked', () => {
+            let path = fileEntry.get_text().trim();
+            let result;
+            try {
+                let [, contents] = GLib.file_get_contents(path);
+                result = validatePinRuleImport(new TextDecoder().decode(contents));
+            } catch (e) {
+                statusLabel.set_text(_("Import failed: %s").format(e.message));
+                return;
+            }
+            if (result.error) {
+                statusLabel.set_text(_("Import failed: %s").format(result.error));
+                return;
+            }
+            rowContainer.destroy_all_children();
+            rowWidgets.length = 0;
+            emptyLabel = null;
+            let imported = result.rules.slice().sort((a, b) => a.priority - b.priority);
+            for (let rule of imported)
+                addRow(rule);
+            let report = _("Imported %d rule(s). Press Save to apply them.").format(result.rules.length);
+            if (result.rejected.length > 0) {
+                let entries = result.rejected.map(r => '#%d %s'.format(r.index + 1, JSON.stringify(r.entry).substring(0, 60)));
+                report += '\n' + _("Rejected %d invalid rule(s): %s").format(result.rejected.length, entries.join(', '));
+            }
+            statusLabel.set_text(report);
+        });
+
+        // One-time offer to rekey rules saved against session-only
+        // window:<n> ids; converted rows are written on Save
+        let syntheticCount = sorted.filter(rule => isSyntheticAppId(rule.appId)).length;
+        if (syntheticCount > 0 && !this.pinRulesMigrationDismissed) {
+            let banner = new St.BoxLayout({ vertical: false, style: 'padding-bottom: 8px;' });
+            let bannerLabel = new St.Label({
+                text: _("%d rule(s) use a temporary app id (window:N) that changes on every restart.").format(syntheticCount)
+            });
+            bannerLabel.style = 'color: #c90; padding-top: 6px;';
+            banner.add(bannerLabel, { expand: true });
+
+            let convertBtn = new St.Button({ label: _("Convert"), can_focus: true, style_class: 'modal-dialog-button' });
+            convertBtn.connect('clicked', () => {
+                let result = migratePinRuleAppIds(rowWidgets.map(w => ({ appId: w.appId })), this._getSyntheticAppIdMap());
+                for (let i = 0; i < rowWidgets.length; i++) {
+                    rowWidgets[i].appId = result.rules[i].appId;
+                    rowWidgets[i].appLabel.set_text(result.rules[i].appId || '');
+                }
+                let text = _("Converted %d rule(s).").format(result.migrated);
+                if (result.unresolved > 0)
+                    text += ' ' + _("%d rule(s) could not be converted: open their windows and try again.").format(result.unresolved);
+                bannerLabel.set_text(text);
+                convertBtn.hide();
+            });
+            banner.add(convertBtn);
+
+            let dismissBtn = new St.Button({ label: _("Don't ask again"), can_focus: true, style_class: 'modal-dialog-button' });
+            dismissBtn.connect('clicked', () => {
+                this.pinRulesMigrationDismissed = true;
+                banner.destroy();
+            });
+            banner.add(dismissBtn);
+
+            dialog.contentLayout.insert_child_at_index(banner, 1);
+        }
+
         let self = this;
         dialog.setButtons([
             { label: _("Cancel"), action: () => dialog.destroy(), key: Clutter.KEY_Escape },
             { label: _("Save"), action: () => {
-                let rows = [];
-                for (let i = 0; i < rowWidgets.length; i++) {
-                    let w = rowWidgets[i];
-                    rows.push({ appId: w.appId, title: w.titleEntry.get_text(), priority: w.priorityEntry.get_text() });
+                // Invalid rows would be dropped by parsePinRules; rows matching nothing need a
+                // second press, except launcher rules, which are expected to outlive their windows
+                let invalid = rowWidgets.filter(w => w.preview.error).length;
+                if (invalid > 0) {
+                    previewLabel.style = 'font-size: 0.9em; padding: 4px 0; color: #e66;';
+                    previewLabel.set_text(_("%d rule(s) are invalid. Fix them before saving.").format(invalid));
+                    return;
+                }
+                let unmatched = rowWidgets.filter(w => w.preview.matches.length === 0 && !w.launcherCheck.actor.checked).length;
+                if (unmatched > 0 && !confirmedEmpty) {
+                    confirmedEmpty = true;
+                    previewLabel.style = 'font-size: 0.9em; padding: 4px 0; color: #c90;';
+                    previewLabel.set_text(_("%d rule(s) match no open window. Press Save again to save anyway.").format(unmatched));
+                    return;
                 }
-                self._savePinRules(buildEditorRules(rows));
+                self._savePinRules(collectRules());
+                dialog.destroy();
+            }, default: true }
+        ]);
+
+        dialog.open();
+    }
+
+    /* Editor for the label rewrite rules. button: the window the menu was
+     * opened on; new rows start with its app id. */
+    _showTitleRewriteEditor(button) {
+        let dialog = new ModalDialog.ModalDialog();
+
+        let titleLabel = new St.Label({ text: _("Title Rewrites") });
+        titleLabel.style = 'font-size: 1.2em; font-weight: bold; padding-bottom: 8px;';
+        dialog.contentLayout.add(titleLabel);
+
+        let header = new St.BoxLayout({ vertical: false, style: 'padding-bottom: 4px;' });
+        let hApp = new St.Label({ text: _("App"), style: 'width: 170px; font-weight: bold;' });
+        let hPattern = new St.Label({ text: _("Pattern"), style: 'width: 280px; font-weight: bold;' });
+        let hReplacement = new St.Label({ text: _("Replacement"), style: 'width: 170px; font-weight: bold;' });
+        let hResult = new St.Label({ text: _("Example"), style: 'font-weight: bold;' });
+        header.add(hApp); header.add(hPattern); header.add(hReplacement); header.add(hResult);
+        dialog.contentLayout.add(header);
+
+        let scrollView = new St.ScrollView({
+            vscrollbar_policy: St.PolicyType.AUTOMATIC,
+            hscrollbar_policy: St.PolicyType.NEVER
+        });
+        scrollView.set_height(300);
+        let rowContainer = new St.BoxLayout({ vertical: true });
+        scrollView.add_actor(rowContainer);
+        dialog.contentLayout.add(scrollView);
+
+        let hint = new St.Label({ text: _("Rules apply in order to the button label only; tooltips and previews keep the full title. Leave App empty to rewrite every app's titles. The replacement may use $1, $2\u2026 for regex groups.") });
+        hint.style = 'font-size: 0.9em; color: #888; padding-top: 4px;';
+        hint.get_clutter_text().set_line_wrap(true);
+        dialog.contentLayout.add(hint);
+
+        let statusLabel = new St.Label({ text: '' });
+        statusLabel.style = 'font-size: 0.9em; color: #e66; padding-top: 4px;';
+        dialog.contentLayout.add(statusLabel);
+
+        let windows = this._windows.filter(window => !window.transient).map(window => ({
+            appIds: window.appIdCandidates,
+            title: window._title || ''
+        }));
+        let rowWidgets = [];
+
+        let collectRow = (w) => ({ appId: w.appEntry.get_text().trim(),
+            pattern: w.patternEntry.get_text(), replacement: w.replacementEntry.get_text() });
+
+        // Show the row's effect on the first open window it changes
+        let updateExample = (w) => {
+            let raw = collectRow(w);
+            w.invalid = false;
+            if (!raw.pattern) {
+                w.resultLabel.set_text('');
+                return;
+            }
+            let rules = parseTitleRewriteRules(JSON.stringify([raw]));
+            if (rules.length === 0) {
+                w.invalid = true;
+                w.resultLabel.style = 'padding: 4px 8px; color: #e66;';
+                w.resultLabel.set_text(_("invalid"));
+                return;
+            }
+            for (let window of windows) {
+                let rewritten = applyTitleRewrites(rules, window.appIds, window.title);
+                if (rewritten !== window.title) {
+                    w.resultLabel.style = 'padding: 4px 8px;';
+                    w.resultLabel.set_text('\u2192 ' + rewritten);
+                    return;
+                }
+            }
+            w.resultLabel.style = 'padding: 4px 8px; color: #888;';
+            w.resultLabel.set_text(_("changes no open window"));
+        };
+
+        let addRow = (rule) => {
+            let row = new St.BoxLayout({ vertical: false, style: 'padding: 2px 0;' });
+
+            let appEntry = new St.Entry({ text: rule.appId || '', can_focus: true });
+            appEntry.set_width(160);
+            row.add(appEntry);
+
+            let slash1 = new St.Label({ text: ' /', style: 'font-family: monospace; padding-top: 4px;' });
+            row.add(slash1);
+            let patternEntry = new St.Entry({ text: rule.pattern || '', can_focus: true });
+            patternEntry.set_width(230);
+            row.add(patternEntry);
+            let slash2 = new St.Label({ text: '/ ', style: 'font-family: monospace; padding-top: 4px;' });
+            row.add(slash2);
+
+            let replacementEntry = new St.Entry({ text: rule.replacement || '', can_focus: true });
+            replacementEntry.set_width(160);
+            row.add(replacementEntry);
+
+            let resultLabel = new St.Label({ text: '' });
+            resultLabel.style = 'padding: 4px 8px;';
+            resultLabel.set_width(220);
+            row.add(resultLabel);
+
+            let deleteBtn = new St.Button({ can_focus: true, style_class: 'modal-dialog-button' });
+            let deleteIcon = new St.Icon({ icon_name: 'edit-delete', icon_size: 16, icon_type: St.IconType.SYMBOLIC });
+            deleteBtn.set_child(deleteIcon);
+            deleteBtn.connect('clicked', function() {
+                rowContainer.remove_child(row);
+                let idx = rowWidgets.findIndex(w => w.row === row);
+                if (idx >= 0) rowWidgets.splice(idx, 1);
+            });
+            row.add(deleteBtn);
+
+            rowContainer.add(row);
+            let widgets = { appEntry: appEntry, patternEntry: patternEntry, replacementEntry: replacementEntry,
+                resultLabel: resultLabel, invalid: false, row: row };
+            rowWidgets.push(widgets);
+            for (let entry of [appEntry, patternEntry, replacementEntry])
+                entry.clutter_text.connect('text-changed', () => updateExample(widgets));
+            updateExample(widgets);
+            return widgets;
+        };
+
+        let raw;
+        try { raw = JSON.parse(this.titleRewriteRules || '[]'); } catch (e) { raw = []; }
+        if (!Array.isArray(raw)) raw = [];
+        for (let rule of raw) {
+            if (rule && typeof rule === 'object')
+                addRow(rule);
+        }
+
+        let addBtn = new St.Button({ label: _("Add rule"), can_focus: true, style_class: 'modal-dialog-button' });
+        addBtn.connect('clicked', () => {
+            let widgets = addRow({ appId: button ? button.appId : '' });
+            widgets.patternEntry.grab_key_focus();
+        });
+        let buttonRow = new St.BoxLayout({ vertical: false, style: 'padding-top: 4px;' });
+        buttonRow.add(addBtn);
+        dialog.contentLayout.add(buttonRow);
+
+        dialog.setButtons([
+            { label: _("Cancel"), action: () => dialog.destroy(), key: Clutter.KEY_Escape },
+            { label: _("Save"), action: () => {
+                let invalid = rowWidgets.filter(w => w.invalid).length;
+                if (invalid > 0) {
+                    statusLabel.set_text(_("%d rule(s) are invalid. Fix them before saving.").format(invalid));
+                    return;
+                }
+                // Rows without a pattern are dropped
+                let rules = rowWidgets.map(collectRow).filter(rule => rule.pattern).map(rule => {
+                    let saved = rule.appId ? { appId: rule.appId } : {};
+                    saved.pattern = rule.pattern;
+                    saved.replacement = rule.replacement;
+                    return saved;
+                });
+                this._saveTitleRewriteRules(rules);
                 dialog.destroy();
             }, default: true }
         ]);
@@ -2103,13 +4035,10 @@ class CinnamonWindowListApplet extends Applet.Applet {
     }
 
     _onWindowTitleChanged(button) {
-        let tracker = Cinnamon.WindowTracker.get_default();
-        let app = tracker.get_window_app(button.metaWindow);
-        let appId = app ? app.get_id() : null;
-        let title = button.metaWindow.get_title();
-        let rule = matchPinRule(this._parsedPinRules, appId, title);
+        let rule = this._matchButtonPinRule(button);
         let newPriority = rule ? rule.priority : null;
-        if (newPriority === button._pinPriority) return;
+        let newAnchor = rule ? rule.anchor : null;
+        if (newPriority === button._pinPriority && newAnchor === button._pinAnchor) return;
         // Pin match changed — debounce the re-sort
         if (button._pinDebounceTimer) {
             Mainloop.source_remove(button._pinDebounceTimer);
@@ -2133,32 +4062,33 @@ class CinnamonWindowListApplet extends Applet.Applet {
             return DND.DragMotionResult.MOVE_DROP;
         if (!(source instanceof AppMenuButton))
             return DND.DragMotionResult.NO_DROP;
-        // Pinned windows cannot be dragged
-        if (source._pinPriority !== null && source._pinPriority !== undefined)
-            return DND.DragMotionResult.NO_DROP;
 
+        // Hit-test the cells of the last layout, the placeholder's included
         let children = this.manager_container.get_children();
-        let childRects = [];
-        for (let i = 0; i < children.length; i++) {
-            if (!children[i].visible) {
-                childRects.push({ x: 0, y: 0, width: 0, height: 0 });
-                continue;
+        let noCell = { x: 0, y: 0, width: 0, height: 0 };
+        let childRects = children.map(child => (child.visible && this._layoutCells.get(child)) || noCell);
+        // The layout turns column-major order off with a pinned row, whose
+        // cells are not regular
+        let columnMajorRows = this._layout && this._layout.columnMajor ? this._layout.rows : 0;
+        let isVertical = this.orientation == St.Side.LEFT || this.orientation == St.Side.RIGHT;
+        this._dragPlaceholderPos = calcDragInsertionIndex(childRects, x, y, isVertical, columnMajorRows);
+
+        // Pinned windows stay inside their own zone. Unpinned windows may be
+        // dropped into either zone (offering a pin rule there) but never
+        // between the trailing overflow button and the right zone.
+        let zones = this._getPinnedZones();
+        if (source._pinPriority !== null && source._pinPriority !== undefined) {
+            if (source._pinAnchor === 'right') {
+                if (this._dragPlaceholderPos < zones.rightStart) this._dragPlaceholderPos = zones.rightStart;
+            } else if (this._dragPlaceholderPos > zones.leftEnd) {
+                this._dragPlaceholderPos = zones.leftEnd;
             }
-            let box = children[i].get_allocation_box();
-            childRects.push({
-                x: box.x1, y: box.y1,
-                width: box.x2 - box.x1, height: box.y2 - box.y1
-            });
+        } else if (this._overflowButton && this._overflowButton.actor.visible) {
+            let overflowIndex = children.indexOf(this._overflowButton.actor);
+            if (overflowIndex >= 0 && this._dragPlaceholderPos > overflowIndex
+                && this._dragPlaceholderPos <= zones.rightStart)
+                this._dragPlaceholderPos = overflowIndex;
         }
-        this._dragPlaceholderPos = calcDragInsertionIndex(childRects, x, y, false);
-
-        // Clamp drop position past pinned windows
-        let pinnedCount = 0;
-        for (let i = 0; i < children.length; i++) {
-            let btn = children[i]._delegate;
-            if (btn && btn._pinPriority !== null && btn._pinPriority !== undefined) pinnedCount++;
-        }
-        if (this._dragPlaceholderPos < pinnedCount) this._dragPlaceholderPos = pinnedCount;
 
         source.actor.hide();
         if (this._dragPlaceholder == undefined) {
@@ -2168,9 +4098,9 @@ class CinnamonWindowListApplet extends Applet.Applet {
 
             this.manager_container.insert_child_at_index(this._dragPlaceholder.actor,
                                                          this._dragPlaceholderPos);
+            this._queueRecomputeAdaptiveRows();
         } else {
-            this.manager_container.set_child_at_index(this._dragPlaceholder.actor,
-                                                         this._dragPlaceholderPos);
+            this._setChildIndex(this._dragPlaceholder.actor, this._dragPlaceholderPos);
         }
 
         return DND.DragMotionResult.MOVE_DROP;
@@ -2179,9 +4109,21 @@ class CinnamonWindowListApplet extends Applet.Applet {
     acceptDrop(source, actor, x, y, time) {
         if (!(source instanceof AppMenuButton)) return false;
         if (this._dragPlaceholderPos == undefined) return false;
-        if (source._pinPriority !== null && source._pinPriority !== undefined) return false;
 
-        this.manager_container.set_child_at_index(source.actor, this._dragPlaceholderPos);
+        // Pins are placed by priority, so a drop in a pinned zone rewrites
+        // (or, for an unpinned window, offers to create) rules instead of
+        // moving the button
+        let anchor = this._getDropZone(source);
+        if (anchor) {
+            let ordered = this._getZoneOrder(anchor, source);
+            if (source._pinPriority !== null && source._pinPriority !== undefined)
+                this._savePinRules(calcPinReorder(this._rawPinRules, ordered, anchor));
+            else
+                this._showPinDialog(source, { anchor: anchor, ordered: ordered });
+            return true;
+        }
+
+        this._setChildIndex(source.actor, this._dragPlaceholderPos);
 
         this._saveOrder();
         this._updateAllIconGeometry();
@@ -2189,11 +4131,55 @@ class CinnamonWindowListApplet extends Applet.Applet {
         return true;
     }
 
+    // Pinned zone the drag placeholder sits in, or null. Pins keep to their
+    // own zone; for an unpinned window only a drop strictly before a left pin
+    // or after a right pin counts, so the zone edges stay plain reorders.
+    _getDropZone(source) {
+        if (source._pinPriority !== null && source._pinPriority !== undefined)
+            return source._pinAnchor;
+        let pos = this.manager_container.get_children().indexOf(this._dragPlaceholder.actor);
+        let info = this._getPinnedChildInfo();
+        let next = info[pos + 1];
+        let prev = info[pos - 1];
+        if (next && next.pinPriority !== null && next.pinAnchor !== 'right')
+            return 'left';
+        if (prev && prev.pinPriority !== null && prev.pinAnchor === 'right')
+            return 'right';
+        return null;
+    }
+
+    /* Rules of one pinned zone from its outer edge inwards, as the drop would
+     * leave them: the dragged window's entry goes where the placeholder is.
+     * An unpinned window gets an entry with a null priority, filled in once
+     * its rule exists. */
+    _getZoneOrder(anchor, source) {
+        let ordered = [];
+        for (let child of this.manager_container.get_children()) {
+            let btn = child._delegate;
+            if (this._dragPlaceholder && child === this._dragPlaceholder.actor) {
+                let rule = source._pinPriority !== null && source._pinPriority !== undefined
+                    ? source._pinRule : null;
+                ordered.push(rule ? { appId: rule.appId, priority: rule.priority } : { appId: null, priority: null });
+            } else if (btn === source || !btn || btn._pinPriority === null || btn._pinPriority === undefined) {
+                continue;
+            } else if ((btn._pinAnchor === 'right') !== (anchor === 'right')) {
+                continue;
+            } else if (btn instanceof LauncherButton) {
+                ordered.push({ appId: btn.appId, priority: btn._pinPriority });
+            } else {
+                let rule = btn._pinRule;
+                if (rule) ordered.push({ appId: rule.appId, priority: rule.priority });
+            }
+        }
+        return anchor === 'right' ? ordered.reverse() : ordered;
+    }
+
     clearDragPlaceholder() {
         if (this._dragPlaceholder) {
             this._dragPlaceholder.actor.destroy();
             this._dragPlaceholder = undefined;
             this._dragPlaceholderPos = undefined;
+            this._queueRecomputeAdaptiveRows();
         }
     }
 
@@ -12,10 +12,13 @@
  * No Cinnamon/GJS dependencies — testable in Node.js.
  */
 
+// Most rows the applet lays out, with max-rows or automatic row count
+const MAX_ROWS = 8;
+
 /**
  * Calculate the height of a single row given panel height and number of rows.
  * @param {number} panelHeight - Total panel height in pixels
- * @param {number} numberOfRows - Number of rows (1-4)
+ * @param {number} numberOfRows - Number of rows (1-8)
  * @returns {number} Row height in pixels (floored)
  */
 function calcRowHeight(panelHeight, numberOfRows, verticalMargin = 0) {
@@ -26,19 +29,49 @@ function calcRowHeight(panelHeight, numberOfRows, verticalMargin = 0) {
 /**
  * Calculate per-button height (buttons fill their row).
  * @param {number} panelHeight - Total panel height in pixels
- * @param {number} numberOfRows - Number of rows (1-4)
+ * @param {number} numberOfRows - Number of rows (1-8)
  * @returns {number} Button height in pixels (floored)
  */
 function calcButtonHeight(panelHeight, numberOfRows, verticalMargin = 0) {
     return calcRowHeight(panelHeight, numberOfRows, verticalMargin);
 }
 
+/**
+ * Pick the largest row count, up to maxRows, whose rows stay at least
+ * minRowHeight tall. A panel too short for even two rows gets one.
+ * @param {number} panelHeight - Total panel height in pixels
+ * @param {number} minRowHeight - Shortest acceptable row in pixels
+ * @param {number} maxRows - Most rows to consider
+ * @param {number} [verticalMargin=0] - Button margin per row
+ * @returns {number} Row count (1 to maxRows)
+ */
+function calcAutoRowCount(panelHeight, minRowHeight, maxRows, verticalMargin = 0) {
+    for (let rows = maxRows; rows > 1; rows--) {
+        if (calcRowHeight(panelHeight, rows, verticalMargin) >= minRowHeight) return rows;
+    }
+    return 1;
+}
+
+/**
+ * Convert the minimum row height setting to pixels. In lines, a row must
+ * hold that many lines of text plus the button's own padding and border.
+ * @param {number} value - Setting value
+ * @param {'pixels'|'lines'} unit
+ * @param {number} linePixels - Height of one line of text in pixels
+ * @param {number} [overhead=0] - Button padding and border in pixels
+ * @returns {number} Minimum row height in pixels
+ */
+function calcMinRowHeight(value, unit, linePixels, overhead = 0) {
+    if (unit === 'lines') return Math.ceil(value * linePixels + overhead);
+    return value;
+}
+
 /**
  * Calculate how many rows are needed for the given button count.
  * @param {number} containerWidth - Available width in pixels
  * @param {number} buttonCount - Number of visible buttons
  * @param {number} buttonWidth - Width per button in pixels
- * @param {number} maxRows - Maximum allowed rows (1-4)
+ * @param {number} maxRows - Maximum allowed rows (1-8)
  * @returns {number} Number of rows (1 to maxRows)
  */
 function calcAdaptiveRowCount(containerWidth, buttonCount, buttonWidth, maxRows) {
@@ -69,6 +102,706 @@ function calcButtonWidth(containerWidth, visibleCount, buttonWidth, maxRows, min
     return Math.max(minWidth, Math.floor(containerWidth / neededPerRow));
 }
 
+/**
+ * Split the rows between a row reserved for pinned buttons and the unpinned
+ * buttons. Pinned buttons keep the configured width unless they need more
+ * than their one row; unpinned buttons shrink to fit the remaining rows.
+ * @param {number} containerWidth - Available width in pixels
+ * @param {number} pinnedCount - Number of pinned buttons
+ * @param {number} unpinnedCount - Slots taken by the unpinned buttons
+ * @param {number} buttonWidth - Configured button width in pixels
+ * @param {number} maxRows - Maximum allowed rows, the pinned row included
+ * @param {number} minWidth - Minimum button width
+ * @returns {{rows: number, pinnedWidth: number, unpinnedWidth: number}|null}
+ *   null when there is no pinned button or no row to spare
+ */
+function calcPinnedRowLayout(containerWidth, pinnedCount, unpinnedCount, buttonWidth, maxRows, minWidth) {
+    if (pinnedCount <= 0 || maxRows < 2) return null;
+    let unpinnedRows = unpinnedCount > 0
+        ? calcAdaptiveRowCount(containerWidth, unpinnedCount, buttonWidth, maxRows - 1) : 0;
+    return {
+        rows: 1 + unpinnedRows,
+        pinnedWidth: calcButtonWidth(containerWidth, pinnedCount, buttonWidth, 1, minWidth),
+        unpinnedWidth: calcButtonWidth(containerWidth, unpinnedCount, buttonWidth, maxRows - 1, minWidth)
+    };
+}
+
+/**
+ * Break a run of variable-width buttons into rows, in order, starting a new
+ * row whenever the next button no longer fits (greedy line breaking, the way
+ * a non-homogeneous Clutter.FlowLayout wraps). A button wider than the
+ * container gets a row of its own.
+ * @param {Array<number>} widths - Width per button in pixels
+ * @param {number} containerWidth - Available width in pixels
+ * @returns {Array<number>} Button count per row
+ */
+function calcLineBreaks(widths, containerWidth) {
+    let rows = [];
+    let count = 0;
+    let used = 0;
+    for (let i = 0; i < widths.length; i++) {
+        if (count > 0 && used + widths[i] > containerWidth) {
+            rows.push(count);
+            count = 0;
+            used = 0;
+        }
+        count++;
+        used += widths[i];
+    }
+    if (count > 0) rows.push(count);
+    return rows;
+}
+
+/**
+ * Break buttons into rows as evenly as possible: as many rows as greedy line
+ * breaking needs (nothing is balanced when that is one row or more than
+ * maxRows), then the breaks that make the widest row narrowest, and among
+ * those the most even rows, longer rows first. 14 equal buttons that fit 10
+ * to a row come out 7/7 instead of 10/4. Buttons keep their order.
+ * @param {Array<number>} widths - Width per button in pixels
+ * @param {number} containerWidth - Available width in pixels
+ * @param {number} maxRows - Maximum allowed rows
+ * @returns {Array<number>} Button count per row
+ */
+function calcBalancedLineBreaks(widths, containerWidth, maxRows) {
+    let greedy = calcLineBreaks(widths, containerWidth);
+    let rowCount = greedy.length;
+    if (rowCount <= 1 || rowCount > maxRows) return greedy;
+
+    let n = widths.length;
+    let prefix = [0];
+    for (let i = 0; i < n; i++) prefix.push(prefix[i] + widths[i]);
+    // best[k][i]: first i buttons in k rows -> {max, squares, prev}
+    let best = [[{ max: 0, squares: 0, prev: -1 }]];
+    for (let k = 1; k <= rowCount; k++) {
+        best.push([]);
+        for (let i = k; i <= n; i++) {
+            for (let j = i - 1; j >= k - 1; j--) {
+                let before = best[k - 1][j];
+                let width = prefix[i] - prefix[j];
+                if (width > containerWidth && i - j > 1) break;
+                if (!before) continue;
+                let candidate = { max: Math.max(before.max, width), squares: before.squares + width * width, prev: j };
+                let current = best[k][i];
+                if (!current || candidate.max < current.max
+                    || (candidate.max === current.max && candidate.squares < current.squares))
+                    best[k][i] = candidate;
+            }
+        }
+    }
+    if (!best[rowCount][n]) return greedy;
+    let rows = [];
+    for (let k = rowCount, i = n; k > 0; k--) {
+        let j = best[k][i].prev;
+        rows.unshift(i - j);
+        i = j;
+    }
+    return rows;
+}
+
+/**
+ * Position one row of buttons. left, center and right shift the row as a
+ * whole; justify hands the spare width out evenly (the first buttons get the
+ * odd pixels) so the row spans the container. A row already too wide is laid
+ * out from the left.
+ * @param {Array<number>} widths - Width per button in pixels
+ * @param {number} rowWidth - Available width in pixels
+ * @param {'left'|'center'|'right'|'justify'} align
+ * @param {number} [spacing=0] - Gap between buttons
+ * @returns {{x: Array<number>, widths: Array<number>}} Offset and width per button
+ */
+function calcRowAlignment(widths, rowWidth, align, spacing) {
+    spacing = spacing || 0;
+    let total = widths.reduce((sum, w) => sum + w, 0) + spacing * Math.max(0, widths.length - 1);
+    let spare = Math.max(0, rowWidth - total);
+    let result = widths.slice();
+    let offset = 0;
+    if (align === 'right') offset = spare;
+    else if (align === 'center') offset = Math.floor(spare / 2);
+    else if (align === 'justify' && widths.length > 0) {
+        let each = Math.floor(spare / widths.length);
+        let odd = spare - each * widths.length;
+        result = widths.map((w, i) => w + each + (i < odd ? 1 : 0));
+    }
+    let x = [];
+    for (let i = 0; i < result.length; i++) {
+        x.push(offset);
+        offset += result[i] + spacing;
+    }
+    return { x: x, widths: result };
+}
+
+/**
+ * Cell of a button in column-major order: buttons fill each column top to
+ * bottom before moving one column right.
+ * @param {number} index - Button index in list order
+ * @param {number} rows - Number of rows
+ * @returns {{column: number, row: number}}
+ */
+function calcColumnMajorCell(index, rows) {
+    rows = Math.max(1, rows);
+    return { column: Math.floor(index / rows), row: index % rows };
+}
+
+/**
+ * Column widths for buttons laid out in column-major order. Each column is
+ * as wide as its widest button.
+ * @param {Array<number>} widths - Width per button in list order
+ * @param {number} rows - Number of rows
+ * @returns {Array<number>} Width per column
+ */
+function calcColumnMajorWidths(widths, rows) {
+    let columns = [];
+    for (let i = 0; i < widths.length; i++) {
+        let column = calcColumnMajorCell(i, rows).column;
+        columns[column] = Math.max(columns[column] || 0, widths[i]);
+    }
+    return columns;
+}
+
+/**
+ * Size variable-width buttons so they pack into at most maxRows rows.
+ * Buttons keep their desired widths when those already fit; otherwise every
+ * width shrinks by one common factor, found by bisection, but never below
+ * minWidth (or its own desired width, if smaller). fits is false when even
+ * the narrowest widths need more rows; the widths are then the narrowest.
+ * @param {Array<number>} widths - Desired width per button, clamped by the caller
+ * @param {number} containerWidth - Available width in pixels
+ * @param {number} maxRows - Maximum allowed rows
+ * @param {number} minWidth - Narrowest a button may shrink to
+ * @returns {{widths: Array<number>, rows: Array<number>, scale: number, fits: boolean}}
+ *   rows: button count per row
+ */
+function calcPackedRows(widths, containerWidth, maxRows, minWidth) {
+    let scaled = function(scale) {
+        return widths.map(w => Math.max(Math.min(minWidth, w), Math.floor(w * scale)));
+    };
+    let rowsAt = function(scale) {
+        return calcLineBreaks(scaled(scale), containerWidth);
+    };
+    if (widths.length === 0 || containerWidth <= 0)
+        return { widths: widths.slice(), rows: [], scale: 1, fits: true };
+    if (rowsAt(1).length <= maxRows)
+        return { widths: scaled(1), rows: rowsAt(1), scale: 1, fits: true };
+    if (rowsAt(0).length > maxRows)
+        return { widths: scaled(0), rows: rowsAt(0), scale: 0, fits: false };
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+        let mid = (low + high) / 2;
+        if (rowsAt(mid).length <= maxRows) low = mid; else high = mid;
+    }
+    return { widths: scaled(low), rows: rowsAt(low), scale: low, fits: true };
+}
+
+/**
+ * Count the default-width slots a set of buttons takes, for the row and
+ * width math above. A button with a width scale of 2 takes two slots. A row
+ * cannot split a wide button, so each row break may strand up to the widest
+ * button's extra width; that is reserved up front.
+ * @param {Array<number>} scales - Width scale per visible button (1 = default)
+ * @param {number} maxRows - Maximum allowed rows
+ * @returns {number} Slot count (whole number)
+ */
+function calcWeightedSlotCount(scales, maxRows) {
+    let total = 0;
+    let maxExtra = 0;
+    for (let i = 0; i < scales.length; i++) {
+        total += scales[i];
+        maxExtra = Math.max(maxExtra, scales[i] - 1);
+    }
+    if (maxExtra > 0) total += Math.max(0, maxRows - 1) * maxExtra;
+    // Shave float noise (0.1 + 0.2) before rounding up
+    return Math.ceil(Math.round(total * 1000) / 1000);
+}
+
+/**
+ * Calculate how many buttons must move into the overflow ("+N more") button so
+ * the rest fit within maxRows without shrinking below minWidth. The overflow
+ * button takes one of the slots itself, so a non-zero result is always at
+ * least 2 (unless only one slot exists at all).
+ * @param {number} containerWidth - Available width in pixels
+ * @param {number} visibleCount - Number of visible window buttons
+ * @param {number} buttonWidth - Configured button width in pixels
+ * @param {number} maxRows - Maximum allowed rows
+ * @param {number} minWidth - Narrowest button width that keeps labels readable
+ * @returns {number} Number of buttons to hide in the overflow menu
+ */
+function calcOverflowCount(containerWidth, visibleCount, buttonWidth, maxRows, minWidth) {
+    if (visibleCount <= 0 || containerWidth <= 0 || maxRows <= 0 || minWidth <= 0) return 0;
+    let narrowest = buttonWidth > 0 ? Math.min(buttonWidth, minWidth) : minWidth;
+    let capacity = Math.max(1, Math.floor(containerWidth / narrowest)) * maxRows;
+    if (visibleCount <= capacity) return 0;
+    return visibleCount - Math.max(0, capacity - 1);
+}
+
+/**
+ * Choose which buttons go into the overflow menu: the last `count` unpinned
+ * buttons in display order. Pinned buttons never overflow, so fewer than
+ * `count` may be flagged when the unpinned set runs out.
+ * @param {Array<{pinned: boolean}>} buttons - Buttons in display order
+ * @param {number} count - Number of buttons to overflow
+ * @returns {Array<boolean>} Overflow flag per button, same order as input
+ */
+function calcOverflowSet(buttons, count) {
+    let result = buttons.map(() => false);
+    let remaining = count;
+    for (let i = buttons.length - 1; i >= 0 && remaining > 0; i--) {
+        if (buttons[i].pinned) continue;
+        result[i] = true;
+        remaining--;
+    }
+    return result;
+}
+
+/**
+ * Whether window buttons drop their labels: only in icon-only overflow mode,
+ * once they are shrunk to the threshold and below their configured width.
+ * @param {number} buttonWidth - Effective button width in pixels
+ * @param {number} configuredWidth - Button width setting in pixels
+ * @param {string} overflowMode - 'shrink', 'icon-only' or 'overflow'
+ * @param {number} buttonCount - Number of visible buttons
+ * @param {number} threshold - Widest button that is shown icon-only
+ * @returns {boolean}
+ */
+function calcIconOnlyMode(buttonWidth, configuredWidth, overflowMode, buttonCount, threshold) {
+    return overflowMode === 'icon-only' && buttonCount > 0
+        && buttonWidth <= threshold && buttonWidth < configuredWidth;
+}
+
+/**
+ * Lay out the buttons of the window list: row (or column) count, button
+ * sizes, icon-only and overflow state, and the cell of every button. The
+ * applet runs this once per reflow, sizes its buttons from the result and
+ * allocates every child from the cells.
+ *
+ * A horizontal panel wraps the buttons into rows, or with
+ * settings.workspaces gives every workspace a row of its own behind its
+ * name label. A vertical panel (settings.vertical) stacks them down the
+ * panel into columns.
+ *
+ * Cell widths are totals, content plus the theme overhead; buttonWidth and
+ * pinnedWidth are content widths, as the buttons report them. A button with
+ * a width of its own keeps it. A labelled window button reports the width
+ * its title wants as natural: with variableWidth the buttons are packed to
+ * those widths, with fitContent they grow to them. The others take the slot
+ * width times their width scale. Overflowed buttons get no cell; the "+N"
+ * button takes a slot ahead of the right-anchored pins.
+ * @param {Object} spec
+ * @param {number} spec.width - Container width in pixels
+ * @param {number} spec.height - Container height in pixels
+ * @param {{horizontal: number, vertical: number, verticalMargin: number}} [spec.overhead]
+ *   Per-button theme box model: horizontal padding, border and margin;
+ *   vertical padding and border; vertical margin
+ * @param {Array<{scale: number, pinned: boolean, anchor: string, keep: boolean,
+ *   width: number, natural: number, workspace: number|null}>} spec.buttons
+ *   Buttons in display order. Pinned and keep buttons never overflow
+ * @param {Object} spec.settings - buttonWidth, minWidth, maxRows, overflowMode,
+ *   iconOnlyWidth, pinnedRow ('off', 'first' or 'last'), rowAlignment,
+ *   balanceRows, columnMajor, homogeneous, spacing, fitContent,
+ *   variableWidth ({minWidth, maxWidth} or null), workspaces ({count,
+ *   labelWidth} or null), and for vertical panels vertical, buttonHeight and
+ *   minHeight
+ * @returns {{rows: number, columns: number, rowHeight: number, contentHeight: number,
+ *   buttonWidth: number, pinnedWidth: number, pinnedRow: string|null,
+ *   columnMajor: boolean, packed: boolean, iconOnly: boolean, overflowCount: number,
+ *   cells: Array<{row: number, x: number, y: number, width: number, height: number}|null>,
+ *   overflow: {row: number, x: number, y: number, width: number, height: number}|null,
+ *   labels: Array<{row: number, x: number, y: number, width: number, height: number}>,
+ *   naturalWidth: number, naturalHeight: number}}
+ *   On a vertical panel rowHeight is the height of every cell and
+ *   contentHeight the button content height in it
+ */
+function calcButtonLayout(spec) {
+    let overhead = Object.assign({ horizontal: 0, vertical: 0, verticalMargin: 0 }, spec.overhead);
+    if (spec.settings.vertical) return calcColumnLayout(spec, overhead);
+    if (spec.settings.workspaces) return calcWorkspaceLayout(spec, overhead);
+    return calcRowLayout(spec, overhead);
+}
+
+// Overflow flag per button and the number hidden, for the last `count`
+// buttons that are neither pinned nor kept
+function splitOverflow(buttons, count) {
+    let overflowed = calcOverflowSet(buttons.map(b => ({ pinned: b.pinned || b.keep })), count);
+    return { overflowed: overflowed, hidden: overflowed.filter(flag => flag).length };
+}
+
+// The shown buttons plus the overflow button, which trails the unpinned
+// buttons ahead of any right-anchored pins
+function buildSlots(buttons, overflowed, hidden, slotWidth) {
+    let slots = [];
+    for (let i = 0; i < buttons.length; i++) {
+        if (overflowed[i]) continue;
+        slots.push({ index: i, button: buttons[i], right: !!buttons[i].pinned && buttons[i].anchor === 'right' });
+    }
+    if (hidden > 0) {
+        let at = slots.findIndex(slot => slot.right);
+        slots.splice(at < 0 ? slots.length : at, 0,
+            { index: -1, button: { width: slotWidth }, right: false });
+    }
+    return slots;
+}
+
+function calcRowLayout(spec, overhead) {
+    let settings = spec.settings;
+    let buttons = spec.buttons;
+    let maxRows = settings.maxRows;
+    let spacing = settings.spacing || 0;
+    let totalButtonWidth = settings.buttonWidth + overhead.horizontal;
+    let totalMinWidth = settings.minWidth + overhead.horizontal;
+
+    // Buttons with a width scale count for more (or less) than one slot
+    let extraSlots = calcWeightedSlotCount(buttons.map(b => b.scale || 1), maxRows) - buttons.length;
+    let pinnedCount = buttons.filter(b => b.pinned).length;
+    let pinnedRow = null;
+    if (settings.pinnedRow && settings.pinnedRow !== 'off' && maxRows >= 2 && pinnedCount > 0)
+        pinnedRow = settings.pinnedRow;
+
+    let overflowCount = 0;
+    if (settings.overflowMode === 'overflow') {
+        overflowCount = pinnedRow
+            ? calcOverflowCount(spec.width, buttons.length - pinnedCount + extraSlots, totalButtonWidth, maxRows - 1, totalMinWidth)
+            : calcOverflowCount(spec.width, buttons.length + extraSlots, totalButtonWidth, maxRows, totalMinWidth);
+    }
+    let { overflowed, hidden } = splitOverflow(buttons, overflowCount);
+    // Hidden buttons collapse into one overflow button
+    let slotCount = buttons.length + extraSlots;
+    if (hidden > 0) slotCount = slotCount - hidden + 1;
+
+    let rows;
+    let totalWidth;
+    let totalPinned = totalButtonWidth;
+    if (pinnedRow) {
+        let split = calcPinnedRowLayout(spec.width, pinnedCount, slotCount - pinnedCount,
+            totalButtonWidth, maxRows, totalMinWidth);
+        rows = split.rows;
+        totalWidth = split.unpinnedWidth;
+        totalPinned = split.pinnedWidth;
+    } else {
+        rows = calcAdaptiveRowCount(spec.width, slotCount, totalButtonWidth, maxRows);
+        totalWidth = calcButtonWidth(spec.width, slotCount, totalButtonWidth, maxRows, totalMinWidth);
+    }
+    let buttonWidth = totalWidth - overhead.horizontal;
+    let pinnedWidth = totalPinned - overhead.horizontal;
+
+    let slots = buildSlots(buttons, overflowed, hidden,
+        Math.min(buttonWidth, settings.buttonWidth) + overhead.horizontal);
+    for (let slot of slots) {
+        let b = slot.button;
+        slot.pinnedRow = !!pinnedRow && !!b.pinned;
+        slot.width = b.width;
+        if (typeof slot.width !== 'number') {
+            let content = slot.pinnedRow ? pinnedWidth : Math.min(buttonWidth, settings.buttonWidth) * (b.scale || 1);
+            slot.width = content + overhead.horizontal;
+            if (settings.fitContent && typeof b.natural === 'number')
+                slot.width = Math.max(slot.width, b.natural);
+        }
+    }
+
+    // Variable widths: pack the buttons at the widths their titles want,
+    // shrunk together until the rows fit; when even the narrowest widths do
+    // not fit, the equal slots above stay
+    let packed = false;
+    let variable = settings.variableWidth;
+    if (variable && !settings.fitContent && !settings.columnMajor && !pinnedRow) {
+        let minTotal = variable.minWidth + overhead.horizontal;
+        let maxTotal = Math.max(minTotal, variable.maxWidth + overhead.horizontal);
+        let widths = slots.map(slot => {
+            let b = slot.button;
+            if (typeof b.natural === 'number')
+                return Math.round(Math.min(maxTotal, Math.max(minTotal, b.natural)) * (b.scale || 1));
+            return typeof b.width === 'number' ? b.width : Math.min(maxTotal, totalButtonWidth);
+        });
+        let result = calcPackedRows(widths, spec.width, maxRows, minTotal);
+        if (result.fits) {
+            packed = true;
+            slots.forEach((slot, i) => slot.width = result.widths[i]);
+            rows = Math.max(1, result.rows.length);
+            buttonWidth = Math.max(minTotal, Math.floor(Math.min(maxTotal, totalButtonWidth) * result.scale))
+                - overhead.horizontal;
+        }
+    }
+
+    let columnMajor = !!settings.columnMajor && !pinnedRow;
+    let placement = placeButtonSlots(slots, rows, pinnedRow, spec.width,
+        Object.assign({}, settings, { homogeneous: settings.homogeneous && !packed, columnMajor: columnMajor }));
+    rows = placement.rows;
+    let rowHeight = Math.floor(spec.height / rows);
+
+    let cells = buttons.map(() => null);
+    let overflow = null;
+    for (let placed of placement.placed) {
+        let cell = { row: placed.row, x: placed.x, y: placed.row * rowHeight, width: placed.width, height: rowHeight };
+        if (placed.slot.index < 0) overflow = cell;
+        else cells[placed.slot.index] = cell;
+    }
+
+    return {
+        rows: rows,
+        columns: 1,
+        rowHeight: rowHeight,
+        contentHeight: rowHeight - overhead.vertical - overhead.verticalMargin,
+        buttonWidth: buttonWidth,
+        pinnedWidth: pinnedWidth,
+        pinnedRow: pinnedRow,
+        columnMajor: columnMajor,
+        packed: packed,
+        iconOnly: calcIconOnlyMode(buttonWidth, settings.buttonWidth, settings.overflowMode,
+            buttons.length, settings.iconOnlyWidth || 0),
+        overflowCount: hidden,
+        cells: cells,
+        overflow: overflow,
+        labels: [],
+        naturalWidth: placement.naturalWidth,
+        naturalHeight: rows * rowHeight
+    };
+}
+
+// Row and x of every slot, for calcRowLayout: the other buttons in rows (or
+// columns) with the row alignment, and the pinned row first or last, its
+// left pins flush left and right pins flush right. Rows the widths need
+// beyond `rows` are added. naturalWidth is the width of one unwrapped row.
+function placeButtonSlots(slots, rows, pinnedRow, containerWidth, settings) {
+    let spacing = settings.spacing || 0;
+    let placed = [];
+    let lineWidth = widths => widths.reduce((sum, width) => sum + width, 0)
+        + spacing * Math.max(0, widths.length - 1);
+    let pinned = pinnedRow ? slots.filter(slot => slot.pinnedRow) : [];
+    let rest = pinnedRow ? slots.filter(slot => !slot.pinnedRow) : slots;
+    let firstRow = pinnedRow === 'first' ? 1 : 0;
+    let rowCount = pinnedRow ? rows - 1 : Math.max(1, rows);
+
+    let widths = rest.map(slot => slot.width);
+    if (settings.homogeneous) {
+        let widest = Math.max(0, ...widths);
+        widths = widths.map(() => widest);
+    }
+
+    let lines = 0;
+    let naturalWidth;
+    if (settings.columnMajor) {
+        let columnRows = Math.max(1, rowCount);
+        let columnWidths = calcColumnMajorWidths(widths, columnRows);
+        let columns = calcRowAlignment(columnWidths, containerWidth, settings.rowAlignment, spacing);
+        rest.forEach((slot, i) => {
+            let cell = calcColumnMajorCell(i, columnRows);
+            placed.push({ slot: slot, row: firstRow + cell.row, x: columns.x[cell.column], width: columns.widths[cell.column] });
+            lines = Math.max(lines, cell.row + 1);
+        });
+        naturalWidth = lineWidth(columnWidths);
+    } else {
+        // Count the gap after each button so a row never overruns by the last gap
+        let spaced = widths.map(width => width + spacing);
+        let breaks = settings.balanceRows
+            ? calcBalancedLineBreaks(spaced, containerWidth + spacing, Math.max(1, rowCount))
+            : calcLineBreaks(spaced, containerWidth + spacing);
+        let start = 0;
+        for (let row = 0; row < breaks.length; row++) {
+            let aligned = calcRowAlignment(widths.slice(start, start + breaks[row]), containerWidth,
+                settings.rowAlignment, spacing);
+            for (let i = 0; i < breaks[row]; i++)
+                placed.push({ slot: rest[start + i], row: firstRow + row, x: aligned.x[i], width: aligned.widths[i] });
+            start += breaks[row];
+        }
+        lines = breaks.length;
+        naturalWidth = lineWidth(widths);
+    }
+    let total = Math.max(rowCount, lines);
+
+    if (pinnedRow) {
+        let pinnedY = pinnedRow === 'last' ? total : 0;
+        for (let right of [false, true]) {
+            let group = pinned.filter(slot => slot.right === right);
+            let aligned = calcRowAlignment(group.map(slot => slot.width), containerWidth,
+                right ? 'right' : 'left', spacing);
+            group.forEach((slot, i) => placed.push({ slot: slot, row: pinnedY, x: aligned.x[i], width: aligned.widths[i] }));
+        }
+        naturalWidth = Math.max(naturalWidth, lineWidth(pinned.map(slot => slot.width)));
+        total++;
+    }
+    return { placed: placed, rows: Math.max(1, total), naturalWidth: naturalWidth };
+}
+
+// One row per workspace, for calcButtonLayout: every row holds its name
+// label, then the buttons of its workspace at their widths. The widths
+// shrink so the fullest row fits beside the label
+function calcWorkspaceLayout(spec, overhead) {
+    let settings = spec.settings;
+    let buttons = spec.buttons;
+    let spacing = settings.spacing || 0;
+    let count = Math.max(1, settings.workspaces.count);
+    let labelWidth = settings.workspaces.labelWidth || 0;
+    let rowOf = calcWorkspaceRows(buttons.map(b => b.workspace), count);
+    let totalWidth = calcButtonWidth(spec.width - labelWidth, calcMaxButtonsPerRow(rowOf),
+        settings.buttonWidth + overhead.horizontal, 1, settings.minWidth + overhead.horizontal);
+    let buttonWidth = totalWidth - overhead.horizontal;
+    let rowHeight = Math.floor(spec.height / count);
+
+    let labels = [];
+    let nextX = [];
+    for (let row = 0; row < count; row++) {
+        labels.push({ row: row, x: 0, y: row * rowHeight, width: labelWidth, height: rowHeight });
+        nextX.push(labelWidth > 0 ? labelWidth + spacing : 0);
+    }
+    let cells = buttons.map((b, i) => {
+        let width = b.width;
+        if (typeof width !== 'number') {
+            width = Math.min(buttonWidth, settings.buttonWidth) * (b.scale || 1) + overhead.horizontal;
+            if (settings.fitContent && typeof b.natural === 'number') width = Math.max(width, b.natural);
+        }
+        let row = rowOf[i];
+        let cell = { row: row, x: nextX[row], y: row * rowHeight, width: width, height: rowHeight };
+        nextX[row] += width + spacing;
+        return cell;
+    });
+
+    return {
+        rows: count,
+        columns: 1,
+        rowHeight: rowHeight,
+        contentHeight: rowHeight - overhead.vertical - overhead.verticalMargin,
+        buttonWidth: buttonWidth,
+        pinnedWidth: buttonWidth,
+        pinnedRow: null,
+        columnMajor: false,
+        packed: false,
+        iconOnly: calcIconOnlyMode(buttonWidth, settings.buttonWidth, settings.overflowMode,
+            buttons.length, settings.iconOnlyWidth || 0),
+        overflowCount: 0,
+        cells: cells,
+        overflow: null,
+        labels: labels,
+        naturalWidth: Math.max(0, ...nextX) - spacing,
+        naturalHeight: count * rowHeight
+    };
+}
+
+// A vertical panel, for calcButtonLayout: buttons stack down the panel
+// (spec.height) and wrap into up to maxRows columns across its thickness
+// (spec.width). The buttons shrink from buttonHeight once every column is
+// full; in overflow mode they keep it and the extra windows overflow.
+// Labels drop in icon-only mode once the columns get too narrow for them
+function calcColumnLayout(spec, overhead) {
+    let settings = spec.settings;
+    let buttons = spec.buttons;
+    let spacing = settings.spacing || 0;
+    let length = spec.height;
+    let vExtra = overhead.vertical + overhead.verticalMargin;
+    let totalHeight = settings.buttonHeight + vExtra;
+
+    let overflowCount = 0;
+    if (settings.overflowMode === 'overflow')
+        overflowCount = calcOverflowCount(length, buttons.length, totalHeight, settings.maxRows, totalHeight);
+    let { overflowed, hidden } = splitOverflow(buttons, overflowCount);
+    let slotCount = hidden > 0 ? buttons.length - hidden + 1 : buttons.length;
+
+    let columns = calcAdaptiveRowCount(length, slotCount, totalHeight, settings.maxRows);
+    let cellHeight = calcButtonWidth(length, slotCount, totalHeight, settings.maxRows,
+        settings.minHeight + vExtra);
+    let slots = buildSlots(buttons, overflowed, hidden, 0);
+    let perColumn = Math.max(1, Math.floor((length + spacing) / (cellHeight + spacing)));
+    columns = Math.max(columns, Math.ceil(slots.length / perColumn));
+    let columnWidth = Math.floor(spec.width / columns);
+    let buttonWidth = columnWidth - overhead.horizontal;
+
+    let cells = buttons.map(() => null);
+    let overflow = null;
+    slots.forEach((slot, k) => {
+        let column = Math.floor(k / perColumn);
+        let cell = { row: column, x: column * columnWidth, y: (k % perColumn) * (cellHeight + spacing),
+            width: columnWidth, height: cellHeight };
+        if (slot.index < 0) overflow = cell;
+        else cells[slot.index] = cell;
+    });
+
+    return {
+        rows: 1,
+        columns: columns,
+        rowHeight: cellHeight,
+        contentHeight: cellHeight - vExtra,
+        buttonWidth: buttonWidth,
+        pinnedWidth: buttonWidth,
+        pinnedRow: null,
+        columnMajor: false,
+        packed: false,
+        iconOnly: settings.overflowMode === 'icon-only' && columns > 1 && buttons.length > 0
+            && buttonWidth <= (settings.iconOnlyWidth || 0),
+        overflowCount: hidden,
+        cells: cells,
+        overflow: overflow,
+        labels: [],
+        naturalWidth: columns * columnWidth,
+        naturalHeight: Math.max(0, Math.min(slots.length, perColumn) * (cellHeight + spacing) - spacing)
+    };
+}
+
+/**
+ * Find the apps whose windows collapse into a single group button: those with
+ * more than `threshold` unpinned buttons. Pinned buttons stay separate and do
+ * not count toward the threshold; buttons without an app id never collapse.
+ * @param {Array<{appId: string|null, pinned: boolean}>} buttons - Buttons in display order
+ * @param {number} threshold - Collapse when an app has more windows than this
+ * @returns {Array<{appId: string, count: number, firstIndex: number}>} One entry
+ *   per collapsed app, ordered by first appearance
+ */
+function calcCollapsedGroups(buttons, threshold) {
+    let groups = [];
+    let byApp = {};
+    for (let i = 0; i < buttons.length; i++) {
+        let b = buttons[i];
+        if (!b.appId || b.pinned) continue;
+        if (!byApp[b.appId]) {
+            byApp[b.appId] = { appId: b.appId, count: 0, firstIndex: i };
+            groups.push(byApp[b.appId]);
+        }
+        byApp[b.appId].count++;
+    }
+    return groups.filter(g => g.count > threshold);
+}
+
+/**
+ * Assign each button to a row in the one-row-per-workspace layout.
+ * Buttons carry their window's workspace index; entries without one (the
+ * drag placeholder) join the row of the nearest preceding button, or the
+ * following one when they lead the list. Indices past the last row are
+ * clamped into it.
+ * @param {Array<number|null>} workspaceIndices - Workspace index per child, in order
+ * @param {number} rowCount - Number of workspace rows
+ * @returns {Array<number>} Row index per child, same order as input
+ */
+function calcWorkspaceRows(workspaceIndices, rowCount) {
+    let lastRow = rowCount > 0 ? rowCount - 1 : 0;
+    let rows = workspaceIndices.map(ws => (ws === null || ws === undefined || ws < 0)
+        ? null : Math.min(ws, lastRow));
+    let previous = null;
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i] === null) rows[i] = previous;
+        else previous = rows[i];
+    }
+    let next = 0;
+    for (let i = rows.length - 1; i >= 0; i--) {
+        if (rows[i] === null) rows[i] = next;
+        else next = rows[i];
+    }
+    return rows;
+}
+
+/**
+ * Largest number of buttons any single workspace row holds. The button
+ * width in the one-row-per-workspace layout is sized so this row fits.
+ * @param {Array<number>} rows - Row index per button (see calcWorkspaceRows)
+ * @returns {number} Maximum buttons in one row (0 for no buttons)
+ */
+function calcMaxButtonsPerRow(rows) {
+    let counts = {};
+    let max = 0;
+    for (let i = 0; i < rows.length; i++) {
+        counts[rows[i]] = (counts[rows[i]] || 0) + 1;
+        if (counts[rows[i]] > max) max = counts[rows[i]];
+    }
+    return max;
+}
+
 /**
  * Return layout mode based on computed row count.
  * @param {number} computedRows - Number of rows from calcAdaptiveRowCount
@@ -79,7 +812,9 @@ function calcLayoutMode(computedRows) {
 }
 
 /**
- * Calculate font size for adaptive layout.
+ * Calculate font size for adaptive layout. Sizes run from 6pt to 10pt; rows
+ * too short for 6pt (as with many rows on a short panel) go down to half
+ * the row height in points, so the text still fits the row.
  * @param {number} panelHeight - Total panel height in pixels
  * @param {number} computedRows - Number of computed rows
  * @returns {number} Font size in pt (0 = use default theme font)
@@ -87,7 +822,8 @@ function calcLayoutMode(computedRows) {
 function calcAdaptiveFontSize(panelHeight, computedRows, verticalMargin = 0) {
     if (computedRows <= 1) return 0;
     let rowHeight = calcRowHeight(panelHeight, computedRows, verticalMargin);
-    return Math.max(6, Math.min(10, Math.floor(rowHeight / 3.5)));
+    let smallest = Math.max(1, Math.min(6, Math.floor(rowHeight / 2)));
+    return Math.max(smallest, Math.min(10, Math.floor(rowHeight / 3.5)));
 }
 
 /**
@@ -101,7 +837,9 @@ function calcAdaptiveIconSize(panelHeight, computedRows, overrideSize, verticalM
     if (overrideSize > 0) return overrideSize;
     let rowHeight = calcRowHeight(panelHeight, computedRows, verticalMargin);
     let ratio = computedRows <= 1 ? 0.25 : 0.4;
-    return Math.max(12, Math.floor(rowHeight * ratio));
+    // 12px floor, but never more than three quarters of a short row
+    let smallest = Math.max(1, Math.min(12, Math.floor(rowHeight * 0.75)));
+    return Math.max(smallest, Math.floor(rowHeight * ratio));
 }
 
 /**
@@ -124,14 +862,23 @@ function calcGroupedInsertionIndex(existingAppIds, newAppId) {
  * Calculate the insertion index during drag-and-drop reordering.
  * Finds the child whose center is closest to the cursor position.
  *
+ * In column-major order (columnMajorRows > 0) the visible children fill
+ * columns top to bottom: the column closest to the cursor is picked first,
+ * then the closest child in it, and a cursor below the last child of a
+ * column that is not full inserts after that child. Hidden children are
+ * passed as empty rectangles and take no cell.
+ *
  * @param {Array<{x: number, y: number, width: number, height: number}>} childRects
  *   Bounding rectangles of each child in container-local coordinates
  * @param {number} cursorX - Cursor X in container-local coordinates
  * @param {number} cursorY - Cursor Y in container-local coordinates
  * @param {boolean} isVertical - Whether panel is vertical (LEFT/RIGHT)
+ * @param {number} [columnMajorRows=0] - Row count in column-major order, 0 for row-major
  * @returns {number} Index of closest child, or -1 if no visible children
  */
-function calcDragInsertionIndex(childRects, cursorX, cursorY, isVertical) {
+function calcDragInsertionIndex(childRects, cursorX, cursorY, isVertical, columnMajorRows) {
+    if (columnMajorRows > 0)
+        return calcColumnMajorInsertionIndex(childRects, cursorX, cursorY, columnMajorRows);
     let insertPos = -1;
     let minDist = -1;
     for (let i = 0; i < childRects.length; i++) {
@@ -149,11 +896,167 @@ function calcDragInsertionIndex(childRects, cursorX, cursorY, isVertical) {
     return insertPos;
 }
 
+function calcColumnMajorInsertionIndex(childRects, cursorX, cursorY, rows) {
+    let visible = [];
+    for (let i = 0; i < childRects.length; i++) {
+        if (childRects[i].width > 0 || childRects[i].height > 0) visible.push(i);
+    }
+    if (visible.length === 0) return -1;
+
+    let columns = [];
+    for (let k = 0; k < visible.length; k++) {
+        let column = calcColumnMajorCell(k, rows).column;
+        if (!columns[column]) columns[column] = [];
+        columns[column].push(visible[k]);
+    }
+    let centerX = i => childRects[i].x + childRects[i].width / 2;
+    let centerY = i => childRects[i].y + childRects[i].height / 2;
+
+    let cells = columns[0];
+    for (let column of columns) {
+        if (Math.abs(cursorX - centerX(column[0])) < Math.abs(cursorX - centerX(cells[0])))
+            cells = column;
+    }
+    let last = cells[cells.length - 1];
+    if (cells.length < rows && cursorY > childRects[last].y + childRects[last].height)
+        return last + 1;
+    let insertPos = cells[0];
+    for (let i of cells) {
+        if (Math.abs(cursorY - centerY(i)) < Math.abs(cursorY - centerY(insertPos)))
+            insertPos = i;
+    }
+    return insertPos;
+}
+
+// Cinnamon synthesizes this id for windows it cannot match to a .desktop file;
+// the number is a per-session counter, so the id does not survive a restart.
+const SYNTHETIC_APP_ID = /^window:\d+$/;
+
+/**
+ * Whether an app id is a synthetic, session-only `window:<n>` id.
+ * @param {string|null} appId
+ * @returns {boolean}
+ */
+function isSyntheticAppId(appId) {
+    return typeof appId === 'string' && SYNTHETIC_APP_ID.test(appId);
+}
+
+/**
+ * Return the app id to key pin rules and grouping on. Real (.desktop) ids are
+ * kept; a synthetic `window:<n>` id, or no app at all, falls back to a stable
+ * `wmclass:<WM_CLASS>` key when the window has a WM_CLASS.
+ * @param {string|null} appId - Id from WindowTracker.get_window_app()
+ * @param {string|null} wmClass - The window's WM_CLASS
+ * @returns {string|null} Stable app id
+ */
+function resolveStableAppId(appId, wmClass) {
+    if (appId && !isSyntheticAppId(appId)) return appId;
+    if (wmClass) return 'wmclass:' + wmClass;
+    return appId || null;
+}
+
+/**
+ * App ids pin rules may name for a window: the stable id, then the raw
+ * synthetic one when they differ, so rules saved before the WM_CLASS
+ * fallback keep matching until they are migrated.
+ * @param {string|null} appId - Id from WindowTracker.get_window_app()
+ * @param {string|null} wmClass - The window's WM_CLASS
+ * @returns {Array<string|null>} Stable id first
+ */
+function resolveAppIdCandidates(appId, wmClass) {
+    let stableId = resolveStableAppId(appId, wmClass);
+    return appId && appId !== stableId ? [stableId, appId] : [stableId];
+}
+
+/**
+ * Rewrite rules saved against synthetic `window:<n>` ids to their stable
+ * equivalents. Rules whose synthetic id has no entry in idMap (its window is
+ * no longer open) are kept unchanged and counted as unresolved.
+ * @param {Array<{appId: string}>} rules - Raw rules (not mutated)
+ * @param {Object<string, string>} idMap - Synthetic id → stable id
+ * @returns {{rules: Array<Object>, migrated: number, unresolved: number}}
+ */
+function migratePinRuleAppIds(rules, idMap) {
+    let migrated = 0;
+    let unresolved = 0;
+    let result = rules.map(function(rule) {
+        if (!isSyntheticAppId(rule.appId)) return rule;
+        let stable = idMap[rule.appId];
+        if (!stable) {
+            unresolved++;
+            return rule;
+        }
+        migrated++;
+        return Object.assign({}, rule, { appId: stable });
+    });
+    return { rules: result, migrated: migrated, unresolved: unresolved };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+// Optional rule fields: absent, null, or of the expected type
+function isOptionalString(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function isOptionalIndex(value) {
+    return value === undefined || value === null
+        || (isFiniteNumber(value) && value >= 0 && Math.floor(value) === value);
+}
+
+/** Title match modes, in the order the pin dialogs cycle through them. */
+const TITLE_MATCH_MODES = ['regex', 'regex-i', 'glob', 'contains', 'exact'];
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a pin rule title pattern under a match mode. regex and regex-i take
+ * the pattern as a regular expression (regex-i ignoring case); glob matches the
+ * whole title with shell-style * and ? wildcards; contains matches a literal
+ * substring and exact the literal whole title.
+ * @param {string} pattern - Title pattern
+ * @param {string} [mode='regex'] - One of TITLE_MATCH_MODES
+ * @returns {RegExp}
+ * @throws {Error} on an unknown mode or a regex that does not compile
+ */
+function compileTitlePattern(pattern, mode) {
+    switch (mode || 'regex') {
+    case 'regex':
+        return new RegExp(pattern);
+    case 'regex-i':
+        return new RegExp(pattern, 'i');
+    case 'glob':
+        return new RegExp('^' + pattern.split('').map(function(c) {
+            if (c === '*') return '.*';
+            if (c === '?') return '.';
+            return escapeRegex(c);
+        }).join('') + '$');
+    case 'contains':
+        return new RegExp(escapeRegex(pattern));
+    case 'exact':
+        return new RegExp('^' + escapeRegex(pattern) + '$');
+    default:
+        throw new Error('unknown match mode: ' + mode);
+    }
+}
+
 /**
  * Parse pin rules from a JSON string.
- * Validates fields, pre-compiles title regexes. Invalid entries are dropped silently.
+ * Validates fields, pre-compiles title patterns. Invalid entries are dropped silently.
+ * match selects how title is read (see compileTitlePattern); rules without
+ * one are regexes, as before match modes existed.
+ * Besides appId and title, a rule may narrow its match with wmClass and role
+ * (exact strings), workspace and monitor (0-based indices) and allWorkspaces
+ * (boolean); absent fields parse to null and match anything. anchor is
+ * 'left' (default) or 'right' for pins held at the right end of the list.
  * @param {string} jsonString - JSON array of pin rule objects
- * @returns {Array<{appId: string, titleRegex: RegExp|null, priority: number}>}
+ * @returns {Array<{appId: string, titleRegex: RegExp|null, matchMode: string, priority: number, wmClass: string|null,
+ *   role: string|null, workspace: number|null, monitor: number|null, allWorkspaces: boolean|null,
+ *   anchor: string}>}
  */
 function parsePinRules(jsonString) {
     let raw;
@@ -168,38 +1071,104 @@ function parsePinRules(jsonString) {
         let entry = raw[i];
         if (!entry || typeof entry.appId !== 'string' || !entry.appId) continue;
         if (typeof entry.priority !== 'number' || !isFinite(entry.priority)) continue;
+        if (entry.match !== undefined && entry.match !== null
+            && TITLE_MATCH_MODES.indexOf(entry.match) === -1) continue;
+        let matchMode = entry.match || 'regex';
         let titleRegex = null;
         if (entry.title !== undefined && entry.title !== null) {
             if (typeof entry.title !== 'string') continue;
             try {
-                titleRegex = new RegExp(entry.title);
+                titleRegex = compileTitlePattern(entry.title, matchMode);
             } catch (e) {
                 continue;
             }
         }
-        results.push({ appId: entry.appId, titleRegex: titleRegex, priority: entry.priority });
+        if (!isOptionalString(entry.wmClass) || !isOptionalString(entry.role)) continue;
+        if (!isOptionalIndex(entry.workspace) || !isOptionalIndex(entry.monitor)) continue;
+        if (entry.allWorkspaces !== undefined && entry.allWorkspaces !== null
+            && typeof entry.allWorkspaces !== 'boolean') continue;
+        if (entry.anchor !== undefined && entry.anchor !== null
+            && entry.anchor !== 'left' && entry.anchor !== 'right') continue;
+        results.push({ appId: entry.appId, titleRegex: titleRegex, matchMode: matchMode, priority: entry.priority,
+            launcher: entry.launcher === true,
+            wmClass: entry.wmClass || null,
+            role: entry.role || null,
+            workspace: isFiniteNumber(entry.workspace) ? entry.workspace : null,
+            monitor: isFiniteNumber(entry.monitor) ? entry.monitor : null,
+            allWorkspaces: typeof entry.allWorkspaces === 'boolean' ? entry.allWorkspaces : null,
+            anchor: entry.anchor === 'right' ? 'right' : 'left' });
     }
     return results;
 }
 
+/**
+ * Find the launcher rules that need a launcher button: rules with
+ * `launcher: true` that no open window currently matches. Rules sharing an
+ * appId and priority reserve a single slot.
+ * @param {Array<{appId: string, priority: number, launcher: boolean}>} rules - Parsed rules
+ * @param {Array<Object|null>} matchedRules - matchPinRule() result per open window
+ * @returns {Array<{appId: string, priority: number, launcher: boolean}>} Rules in input order
+ */
+function calcLauncherRules(rules, matchedRules) {
+    let result = [];
+    let seen = {};
+    for (let i = 0; i < rules.length; i++) {
+        let rule = rules[i];
+        if (!rule.launcher) continue;
+        let key = rule.priority + ' ' + rule.appId;
+        if (seen[key]) continue;
+        let taken = matchedRules.some(function(m) {
+            return m && m.appId === rule.appId && m.priority === rule.priority;
+        });
+        if (taken) continue;
+        seen[key] = true;
+        result.push(rule);
+    }
+    return result;
+}
+
+const PIN_WINDOW_FIELDS = ['wmClass', 'role', 'workspace', 'monitor', 'allWorkspaces'];
+
+function matchesWindowFields(rule, info) {
+    for (let i = 0; i < PIN_WINDOW_FIELDS.length; i++) {
+        let field = PIN_WINDOW_FIELDS[i];
+        let expected = rule[field];
+        if (expected === null || expected === undefined) continue;
+        if (info[field] !== expected) return false;
+    }
+    return true;
+}
+
 /**
  * Find the matching pin rule for a window.
- * Match logic: appId must match exactly; if rule has titleRegex, it must match windowTitle.
+ * Match logic: appId must match exactly; if rule has titleRegex (its title
+ * compiled under its match mode), it must match windowTitle;
+ * every other field the rule sets (wmClass, role, workspace, monitor,
+ * allWorkspaces) must equal the window's value in windowInfo.
+ * A window may be known by several equivalent ids (its stable `wmclass:` key
+ * and the synthetic `window:<n>` id older rules were saved with); pass them as
+ * an array to match rules keyed on either form.
  * Returns the matching rule with the lowest priority, or null.
  * @param {Array<{appId: string, titleRegex: RegExp|null, priority: number}>} rules
- * @param {string|null} appId
+ * @param {string|Array<string>|null} appId
  * @param {string|null} windowTitle
+ * @param {{wmClass: string|null, role: string|null, workspace: number|null,
+ *   monitor: number|null, allWorkspaces: boolean}} [windowInfo] - Window properties;
+ *   rules that set a field never match when it is omitted
  * @returns {{appId: string, titleRegex: RegExp|null, priority: number}|null}
  */
-function matchPinRule(rules, appId, windowTitle) {
-    if (!appId) return null;
+function matchPinRule(rules, appId, windowTitle, windowInfo) {
+    let info = windowInfo || {};
+    let appIds = Array.isArray(appId) ? appId.filter(Boolean) : (appId ? [appId] : []);
+    if (appIds.length === 0) return null;
     let best = null;
     for (let i = 0; i < rules.length; i++) {
         let rule = rules[i];
-        if (rule.appId !== appId) continue;
+        if (appIds.indexOf(rule.appId) === -1) continue;
         if (rule.titleRegex !== null) {
             if (!windowTitle || !rule.titleRegex.test(windowTitle)) continue;
         }
+        if (!matchesWindowFields(rule, info)) continue;
         if (best === null || rule.priority < best.priority) {
             best = rule;
         }
@@ -207,20 +1176,79 @@ function matchPinRule(rules, appId, windowTitle) {
     return best;
 }
 
+function isPinned(item) {
+    return item.pinPriority !== null && item.pinPriority !== undefined;
+}
+
+function isRightPinned(item) {
+    return isPinned(item) && item.pinAnchor === 'right';
+}
+
+/**
+ * Find the bounds of the unpinned zone: left-anchored pins sit before
+ * leftEnd, right-anchored pins start at rightStart.
+ * @param {Array<{pinPriority: number|null, pinAnchor: string|undefined}>} children - existing button info
+ * @returns {{leftEnd: number, rightStart: number}}
+ */
+function calcPinnedZones(children) {
+    let leftEnd = 0;
+    let rightStart = children.length;
+    for (let i = 0; i < children.length; i++) {
+        if (isRightPinned(children[i])) {
+            if (rightStart === children.length) rightStart = i;
+        } else if (isPinned(children[i])) {
+            leftEnd++;
+        }
+    }
+    return { leftEnd: leftEnd, rightStart: rightStart };
+}
+
+/**
+ * Check a raw pin rule the way parsePinRules will and list the windows it
+ * would match, for the live preview in the pin dialogs. error is the RegExp
+ * compile message for a bad title pattern, or a generic note when another
+ * field makes parsePinRules drop the rule.
+ * @param {Object} rawRule - Rule as it would be saved
+ * @param {Array<{appIds: Array<string>, title: string, info: Object}>} windows - Open
+ *   windows: app id candidates, title and matchPinRule window info
+ * @returns {{error: string|null, matches: Array<number>}} Indices into windows
+ */
+function calcPinPreview(rawRule, windows) {
+    if (typeof rawRule.title === 'string') {
+        try {
+            compileTitlePattern(rawRule.title, rawRule.match);
+        } catch (e) {
+            return { error: e.message, matches: [] };
+        }
+    }
+    let rules = parsePinRules(JSON.stringify([rawRule]));
+    if (rules.length === 0) return { error: 'invalid rule', matches: [] };
+    let matches = [];
+    for (let i = 0; i < windows.length; i++) {
+        if (matchPinRule(rules, windows[i].appIds, windows[i].title, windows[i].info))
+            matches.push(i);
+    }
+    return { error: null, matches: matches };
+}
+
 /**
  * Find insertion index for a pinned button among existing children.
  * Pinned buttons are sorted by priority; within same priority+appId, append after last sibling.
- * @param {Array<{pinPriority: number|null, appId: string|null}>} children - existing button info
+ * Left pins count priority from the left edge, right pins (pinAnchor
+ * 'right') from the right edge, so priority 0 is the outermost slot of either zone.
+ * @param {Array<{pinPriority: number|null, appId: string|null, pinAnchor: string|undefined}>} children - existing button info
  * @param {number} newPriority - priority of new pinned button
  * @param {string} newAppId - app ID of new pinned button
+ * @param {string} [anchor='left'] - 'left' or 'right'
  * @returns {number} insertion index
  */
-function calcPinnedInsertionIndex(children, newPriority, newAppId) {
+function calcPinnedInsertionIndex(children, newPriority, newAppId, anchor) {
+    if (anchor === 'right') return calcRightPinnedInsertionIndex(children, newPriority, newAppId);
     let lastSiblingIndex = -1;
     let firstHigherIndex = -1;
     for (let i = 0; i < children.length; i++) {
         let child = children[i];
-        if (child.pinPriority === null) {
+        if (child.pinPriority === null || isRightPinned(child)) {
             // First unpinned button — all pinned must be before this
             if (firstHigherIndex === -1) firstHigherIndex = i;
             break;
@@ -240,54 +1268,248 @@ function calcPinnedInsertionIndex(children, newPriority, newAppId) {
     return children.length;
 }
 
+function calcRightPinnedInsertionIndex(children, newPriority, newAppId) {
+    let lastSiblingIndex = -1;
+    let firstLowerIndex = -1;
+    let lastRightIndex = -1;
+    for (let i = 0; i < children.length; i++) {
+        let child = children[i];
+        if (!isRightPinned(child)) continue;
+        lastRightIndex = i;
+        if (child.pinPriority === newPriority && child.appId === newAppId) {
+            lastSiblingIndex = i;
+        } else if (child.pinPriority < newPriority && firstLowerIndex === -1) {
+            firstLowerIndex = i;
+        }
+    }
+    if (lastSiblingIndex !== -1) return lastSiblingIndex + 1;
+    if (firstLowerIndex !== -1) return firstLowerIndex;
+    // Every right pin is further out or level: go right after them
+    return lastRightIndex !== -1 ? lastRightIndex + 1 : children.length;
+}
+
 /**
- * Compute the full sorted button order with pinned buttons first, then unpinned.
- * Pinned sorted by priority, then appId (alpha), then title (alpha), then original index.
+ * Compute the full sorted button order: left-anchored pins, then unpinned,
+ * then right-anchored pins (pinAnchor 'right').
+ * Left pins sorted by priority, then appId (alpha), then title (alpha), then original index.
+ * Right pins use the same keys but with priority counted from the right
+ * edge, so priority 0 ends up last.
  * Unpinned maintain their relative order.
- * @param {Array<{pinPriority: number|null, appId: string|null, title: string|null, originalIndex: number}>} buttons
+ * @param {Array<{pinPriority: number|null, pinAnchor: string|undefined, appId: string|null, title: string|null, originalIndex: number}>} buttons
  * @returns {Array<number>} Array of originalIndex values in the new order
  */
 function calcSortedButtonOrder(buttons) {
     let pinned = [];
     let unpinned = [];
+    let rightPinned = [];
     for (let i = 0; i < buttons.length; i++) {
         let b = buttons[i];
-        if (b.pinPriority !== null && b.pinPriority !== undefined) {
+        if (isRightPinned(b)) {
+            rightPinned.push(b);
+        } else if (isPinned(b)) {
             pinned.push(b);
         } else {
             unpinned.push(b);
         }
     }
-    pinned.sort(function(a, b) {
-        if (a.pinPriority !== b.pinPriority) return a.pinPriority - b.pinPriority;
+    function tieBreak(a, b) {
         let appCmp = (a.appId || '').localeCompare(b.appId || '');
         if (appCmp !== 0) return appCmp;
         let titleCmp = (a.title || '').localeCompare(b.title || '');
         if (titleCmp !== 0) return titleCmp;
         return a.originalIndex - b.originalIndex;
+    }
+    pinned.sort(function(a, b) {
+        if (a.pinPriority !== b.pinPriority) return a.pinPriority - b.pinPriority;
+        return tieBreak(a, b);
+    });
+    rightPinned.sort(function(a, b) {
+        if (a.pinPriority !== b.pinPriority) return b.pinPriority - a.pinPriority;
+        return tieBreak(a, b);
     });
     let result = [];
     for (let i = 0; i < pinned.length; i++) result.push(pinned[i].originalIndex);
     for (let i = 0; i < unpinned.length; i++) result.push(unpinned[i].originalIndex);
+    for (let i = 0; i < rightPinned.length; i++) result.push(rightPinned[i].originalIndex);
     return result;
 }
 
 /**
  * Build pin rules array from editor row data.
- * Rows with invalid (non-numeric) priority are skipped.
- * @param {Array<{appId: string, title: string, priority: string}>} rows - Editor row data
- * @returns {Array<{appId: string, title: string, priority: number}>} Valid rules
+ * Rows with invalid (non-numeric) priority are skipped. Optional fields are
+ * only written when set (non-empty strings, non-negative integer indices,
+ * checked flags, a right anchor), so plain rules keep their original shape.
+ * @param {Array<{appId: string, title: string, priority: string, launcher: boolean,
+ *   wmClass: string, role: string, workspace: string, monitor: string, allWorkspaces: boolean,
+ *   anchor: string, match: string}>} rows - Editor row data
+ * @returns {Array<Object>} Valid rules
  */
 function buildEditorRules(rows) {
     let result = [];
     for (let i = 0; i < rows.length; i++) {
-        let p = parseInt(rows[i].priority);
+        let row = rows[i];
+        let p = parseInt(row.priority);
         if (isNaN(p)) continue;
-        result.push({ appId: rows[i].appId, title: rows[i].title, priority: p });
+        let rule = { appId: row.appId, title: row.title, priority: p };
+        if (row.launcher) rule.launcher = true;
+        if (row.wmClass) rule.wmClass = row.wmClass;
+        if (row.role) rule.role = row.role;
+        let workspace = parseInt(row.workspace);
+        if (workspace >= 0) rule.workspace = workspace;
+        let monitor = parseInt(row.monitor);
+        if (monitor >= 0) rule.monitor = monitor;
+        if (row.allWorkspaces) rule.allWorkspaces = true;
+        if (row.anchor === 'right') rule.anchor = 'right';
+        if (row.match && row.match !== 'regex') rule.match = row.match;
+        result.push(rule);
     }
     return result;
 }
 
+/**
+ * Rewrite rule priorities after a drag reorder within one pinned zone.
+ * ordered lists the zone's pins from the outer edge inwards (left to right
+ * for the left zone, right to left for the right zone); a rule spanning
+ * several windows takes the position of its outermost one. The priorities
+ * already used by the listed rules are handed out again in the new order, so
+ * rules of closed apps keep their relative slots; ties are split by bumping
+ * the later rule to the next priority no other rule of the zone holds, so a
+ * rule left out of ordered (a closed app without a launcher) never ends up
+ * tied with a moved one.
+ * @param {Array<{appId: string, priority: number, anchor: string}>} rawRules - Current raw rules (not mutated)
+ * @param {Array<{appId: string, priority: number}>} ordered - Zone pins in their new order
+ * @param {string} anchor - 'left' or 'right'
+ * @returns {Array<Object>} Raw rules with rewritten priorities
+ */
+function calcPinReorder(rawRules, ordered, anchor) {
+    let distinct = [];
+    let seen = {};
+    for (let i = 0; i < ordered.length; i++) {
+        let key = ordered[i].priority + ' ' + ordered[i].appId;
+        if (seen[key]) continue;
+        seen[key] = true;
+        distinct.push({ key: key, priority: ordered[i].priority });
+    }
+    let held = {};
+    for (let i = 0; i < rawRules.length; i++) {
+        let rule = rawRules[i];
+        if ((rule.anchor === 'right' ? 'right' : 'left') !== anchor) continue;
+        if (!seen[rule.priority + ' ' + rule.appId]) held[rule.priority] = true;
+    }
+    let slots = distinct.map(function(entry) { return entry.priority; })
+        .sort(function(a, b) { return a - b; });
+    for (let i = 1; i < slots.length; i++) {
+        if (slots[i] > slots[i - 1]) continue;
+        let next = slots[i - 1] + 1;
+        while (held[next]) next++;
+        slots[i] = next;
+    }
+    let remap = {};
+    for (let i = 0; i < distinct.length; i++) remap[distinct[i].key] = slots[i];
+    return rawRules.map(function(rule) {
+        let ruleAnchor = rule.anchor === 'right' ? 'right' : 'left';
+        if (ruleAnchor !== anchor) return rule;
+        let priority = remap[rule.priority + ' ' + rule.appId];
+        if (priority === undefined || priority === rule.priority) return rule;
+        return Object.assign({}, rule, { priority: priority });
+    });
+}
+
+/**
+ * Parse the stored pin rule profiles: a JSON object mapping profile name to
+ * a raw rules array. Malformed input yields no profiles; entries whose value
+ * is not an array are dropped.
+ * @param {string} jsonString - Value of the pin-profiles setting
+ * @returns {Object<string, Array<Object>>} Profile name → raw rules
+ */
+function parsePinProfiles(jsonString) {
+    let raw;
+    try {
+        raw = JSON.parse(jsonString);
+    } catch (e) {
+        return {};
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    let profiles = {};
+    for (let name in raw) {
+        if (name && Array.isArray(raw[name])) profiles[name] = raw[name];
+    }
+    return profiles;
+}
+
+/**
+ * Switch the active pin rule profile. The live rules are stored back under
+ * the current profile before the target's rules are loaded; a target that
+ * does not exist yet starts empty.
+ * @param {Object<string, Array<Object>>} profiles - Stored profiles (not mutated)
+ * @param {string} activeName - Current profile name
+ * @param {Array<Object>} activeRules - Live raw rules of the current profile
+ * @param {string} targetName - Profile to switch to
+ * @returns {{profiles: Object<string, Array<Object>>, rules: Array<Object>}}
+ */
+function switchPinProfile(profiles, activeName, activeRules, targetName) {
+    let result = Object.assign({}, profiles);
+    result[activeName] = activeRules;
+    return { profiles: result, rules: (result[targetName] || []).slice() };
+}
+
+/**
+ * Validate an imported pin rule file: either a bare rules array or an
+ * exported profile `{profile, rules}`. Every entry goes through parsePinRules
+ * on its own; the ones it drops are reported instead of imported.
+ * @param {string} jsonString - File contents
+ * @returns {{profile: string|null, rules: Array<Object>, rejected: Array<{index: number, entry: *}>,
+ *   error: string|null}} error is set when the file is not a rules list at all
+ */
+function validatePinRuleImport(jsonString) {
+    let result = { profile: null, rules: [], rejected: [], error: null };
+    let raw;
+    try {
+        raw = JSON.parse(jsonString);
+    } catch (e) {
+        result.error = 'not valid JSON';
+        return result;
+    }
+    let entries = raw;
+    if (raw && !Array.isArray(raw) && typeof raw === 'object') {
+        entries = raw.rules;
+        if (typeof raw.profile === 'string' && raw.profile) result.profile = raw.profile;
+    }
+    if (!Array.isArray(entries)) {
+        result.error = 'no list of rules found';
+        return result;
+    }
+    for (let i = 0; i < entries.length; i++) {
+        if (parsePinRules(JSON.stringify([entries[i]])).length === 1)
+            result.rules.push(entries[i]);
+        else
+            result.rejected.push({ index: i, entry: entries[i] });
+    }
+    return result;
+}
+
+/**
+ * Serialize a profile for export; validatePinRuleImport reads it back.
+ * @param {string} profileName
+ * @param {Array<Object>} rules - Raw rules
+ * @returns {string} Pretty-printed JSON
+ */
+function buildPinRuleExport(profileName, rules) {
+    return JSON.stringify({ profile: profileName, rules: rules }, null, 2) + '\n';
+}
+
+/**
+ * Default export/import file name for a profile. Path separators and other
+ * characters that can't go in a file name become '-', so a profile such as
+ * "work/home" still names a file in the chosen directory.
+ * @param {string} profileName
+ * @returns {string} e.g. "pin-rules-work-home.json"
+ */
+function calcPinRuleFileName(profileName) {
+    let safe = String(profileName).replace(/[\/\\<>:"|?*\x00-\x1f]/g, '-');
+    return 'pin-rules-' + safe + '.json';
+}
+
 /**
  * Remove a pin rule matching the given appId and priority.
  * @param {Array<{appId: string, title: string, priority: number}>} rawRules - Current raw rules
@@ -301,6 +1523,380 @@ function filterPinRule(rawRules, appId, priority) {
     });
 }
 
+/**
+ * Parse title rewrite rules from a JSON string. Each rule replaces every match
+ * of a regex in a window's displayed label; appId limits it to one app and may
+ * be empty for all apps. Invalid entries are dropped silently.
+ * @param {string} jsonString - JSON array of {appId, pattern, replacement}
+ * @returns {Array<{appId: string|null, regex: RegExp, replacement: string}>}
+ */
+function parseTitleRewriteRules(jsonString) {
+    let raw;
+    try {
+        raw = JSON.parse(jsonString);
+    } catch (e) {
+        return [];
+    }
+    if (!Array.isArray(raw)) return [];
+    let results = [];
+    for (let i = 0; i < raw.length; i++) {
+        let entry = raw[i];
+        if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) continue;
+        if (!isOptionalString(entry.appId) || !isOptionalString(entry.replacement)) continue;
+        let regex;
+        try {
+            regex = new RegExp(entry.pattern, 'g');
+        } catch (e) {
+            continue;
+        }
+        results.push({ appId: entry.appId || null, regex: regex, replacement: entry.replacement || '' });
+    }
+    return results;
+}
+
+/**
+ * Apply title rewrite rules in order to a window title. Replacements may use
+ * $1-style group references. A rewrite that leaves nothing but whitespace is
+ * ignored so a button never goes blank.
+ * @param {Array<{appId: string|null, regex: RegExp, replacement: string}>} rules - From parseTitleRewriteRules
+ * @param {string|Array<string>|null} appId - Window app id, or its equivalent ids
+ * @param {string} title - Full window title
+ * @returns {string} Label text
+ */
+function applyTitleRewrites(rules, appId, title) {
+    let appIds = Array.isArray(appId) ? appId : [appId];
+    let result = title;
+    for (let i = 0; i < rules.length; i++) {
+        let rule = rules[i];
+        if (rule.appId !== null && appIds.indexOf(rule.appId) === -1) continue;
+        let rewritten = result.replace(rule.regex, rule.replacement);
+        if (rewritten.trim()) result = rewritten;
+    }
+    return result.trim() ? result.trim() : title;
+}
+
+// Width scales outside this range would leave a button unusable or eat a row
+const MIN_WIDTH_SCALE = 0.25;
+const MAX_WIDTH_SCALE = 4;
+
+/**
+ * Parse per-app button overrides from a JSON object keyed on app id. Each
+ * value may set label (false hides the label, true shows it even when the
+ * panel-wide setting hides labels), width (a scale of the button width,
+ * clamped to 0.25-4) and icon (an icon name). Invalid fields are ignored and
+ * apps left with nothing valid are dropped.
+ * @param {string} jsonString - e.g. '{"code.desktop": {"width": 2}}'
+ * @returns {Object<string, {label: boolean|null, width: number|null, icon: string|null}>}
+ */
+function parseAppOverrides(jsonString) {
+    let raw;
+    try {
+        raw = JSON.parse(jsonString);
+    } catch (e) {
+        return {};
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    let result = {};
+    for (let appId of Object.keys(raw)) {
+        let entry = raw[appId];
+        if (!appId || !entry || typeof entry !== 'object') continue;
+        let override = {
+            label: typeof entry.label === 'boolean' ? entry.label : null,
+            width: isFiniteNumber(entry.width) && entry.width > 0
+                ? Math.min(MAX_WIDTH_SCALE, Math.max(MIN_WIDTH_SCALE, entry.width)) : null,
+            icon: typeof entry.icon === 'string' && entry.icon ? entry.icon : null
+        };
+        if (override.label !== null || override.width !== null || override.icon !== null)
+            result[appId] = override;
+    }
+    return result;
+}
+
+/**
+ * Set or clear one field of an app's override, as stored in the setting.
+ * A null value removes the field, and an app with no fields left is removed.
+ * @param {Object<string, Object>} rawOverrides - Stored overrides (not mutated)
+ * @param {string} appId - App id
+ * @param {string} field - 'label', 'width' or 'icon'
+ * @param {*} value - New value, or null to clear
+ * @returns {Object<string, Object>} Updated overrides
+ */
+function setAppOverride(rawOverrides, appId, field, value) {
+    let result = Object.assign({}, rawOverrides);
+    let entry = Object.assign({}, result[appId]);
+    if (value === null || value === undefined)
+        delete entry[field];
+    else
+        entry[field] = value;
+    if (Object.keys(entry).length > 0)
+        result[appId] = entry;
+    else
+        delete result[appId];
+    return result;
+}
+
+/**
+ * Fill a label template. {name} tokens are replaced from values; a token
+ * whose value is null or empty drops out, and so do brackets it leaves empty,
+ * e.g. "{title} ({pid})" without a pid. Unknown tokens are kept as typed.
+ * Runs of whitespace are collapsed and the result trimmed.
+ * @param {string} template - e.g. "{app}: {title}"
+ * @param {Object<string, string|number|null>} values - Token values
+ * @returns {string}
+ */
+function formatWindowLabel(template, values) {
+    let text = template.replace(/\{([a-z-]+)\}/g, function(match, name) {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) return match;
+        let value = values[name];
+        return (value === null || value === undefined) ? '' : String(value);
+    });
+    return text.replace(/\(\s*\)|\[\s*\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a window button label: the label template filled from values, then,
+ * for a minimized or tiled window, wrapped by that state's format, where
+ * {label} stands for the filled template. Falls back to the title when
+ * everything drops out.
+ * Tokens: title, app, workspace and monitor (1-based numbers),
+ * workspace-name, pid and state ('minimized', 'maximized', 'tiled' or '').
+ * @param {{label: string, minimized: string, tiled: string}} formats - Templates
+ * @param {Object<string, string|number|null>} values - Token values
+ * @returns {string}
+ */
+function buildWindowLabel(formats, values) {
+    let label = formatWindowLabel(formats.label || '{title}', values);
+    let decoration = null;
+    if (values.state === 'minimized') decoration = formats.minimized;
+    else if (values.state === 'tiled') decoration = formats.tiled;
+    if (decoration)
+        label = formatWindowLabel(decoration, Object.assign({}, values, { label: label }));
+    return label || values.title || '';
+}
+
+// Characters a shared title prefix or suffix may be cut at
+const TITLE_BOUNDARY = /[\s\/\\:|\-\u2013\u2014\u00b7,()[\]]/;
+
+// Shortest shared prefix or suffix worth stripping
+const MIN_COMMON_LENGTH = 4;
+
+function sharedPrefixLength(titles) {
+    let n = 0;
+    let shortest = Math.min.apply(null, titles.map(t => t.length));
+    while (n < shortest && titles.every(t => t[n] === titles[0][n])) n++;
+    return n;
+}
+
+function sharedSuffixLength(titles) {
+    let n = 0;
+    let shortest = Math.min.apply(null, titles.map(t => t.length));
+    while (n < shortest && titles.every(t => t[t.length - 1 - n] === titles[0][titles[0].length - 1 - n])) n++;
+    return n;
+}
+
+/**
+ * Find the part of each title that tells a group of same-app windows apart,
+ * for compact labels too narrow to show whole titles. A prefix and a suffix
+ * shared by every title (cut back to a word or path boundary and at least
+ * MIN_COMMON_LENGTH long) are replaced by an ellipsis, as long as no title is
+ * left empty. The returned ellipsize mode is for whatever still does not fit:
+ * 'end' once something was stripped (the distinctive part now leads), else
+ * 'start' when the titles share more at the start than at the end, 'middle'
+ * otherwise, and 'end' for a single window or identical titles.
+ * @param {Array<string>} titles - Titles of the windows in one app group
+ * @returns {{parts: Array<string>, ellipsize: 'start'|'middle'|'end'}}
+ */
+function calcDistinctiveTitles(titles) {
+    if (titles.length < 2 || titles.every(t => t === titles[0]))
+        return { parts: titles.slice(), ellipsize: 'end' };
+
+    let rawPrefix = sharedPrefixLength(titles);
+    let rawSuffix = sharedSuffixLength(titles);
+    let shortest = Math.min.apply(null, titles.map(t => t.length));
+    let prefix = rawPrefix;
+    while (prefix > 0 && !TITLE_BOUNDARY.test(titles[0][prefix - 1])) prefix--;
+    // Keep the suffix clear of the prefix so both cuts leave something
+    let suffix = Math.min(rawSuffix, shortest - prefix);
+    while (suffix > 0 && !TITLE_BOUNDARY.test(titles[0][titles[0].length - suffix])) suffix--;
+    if (prefix < MIN_COMMON_LENGTH) prefix = 0;
+    if (suffix < MIN_COMMON_LENGTH) suffix = 0;
+
+    let strip = function(p, q) {
+        return titles.map(t => t.substring(p, t.length - q).trim());
+    };
+    let parts = strip(prefix, suffix);
+    if (parts.some(part => !part)) {
+        // Both cuts together empty a title; keep the larger one alone
+        if (prefix >= suffix) suffix = 0; else prefix = 0;
+        parts = strip(prefix, suffix);
+        if (parts.some(part => !part)) prefix = suffix = 0;
+    }
+    if (prefix === 0 && suffix === 0)
+        return { parts: titles.slice(), ellipsize: rawPrefix > rawSuffix ? 'start' : 'middle' };
+
+    parts = strip(prefix, suffix).map(part => (prefix > 0 ? '\u2026' : '') + part + (suffix > 0 ? '\u2026' : ''));
+    return { parts: parts, ellipsize: 'end' };
+}
+
+/**
+ * What a saved window order keeps of a title: a short hash per word, with
+ * digit runs folded to '#' first, so "Inbox (3) - Mail" still matches
+ * "Inbox (12) - Mail". The setting never holds the title itself, which may
+ * name documents, mail subjects or pages the user has open.
+ * @param {string|null} title - Window title
+ * @returns {Array<string>} Word hashes in title order
+ */
+function calcTitleHashes(title) {
+    return (title || '').replace(/\d+/g, '#').toLowerCase()
+        .split(/[\s\-–—|:,()]+/)
+        .filter(word => word.length > 0)
+        .map(hashWord);
+}
+
+// FNV-1a, 32 bit, in base 36
+function hashWord(word) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Parse the saved window order: a JSON array of window descriptors, or the
+ * old xid::xid::… format, whose entries can only match the same window in
+ * the same session. Malformed entries are dropped.
+ * @param {string} text - last-window-order setting
+ * @returns {Array<{xid: number|null, appId: string|null, wmClass: string|null,
+ *   words: Array<string>|null, workspace: number|null}>} Descriptors in display
+ *   order; a title saved by an older version is read as its word hashes
+ */
+function parseSavedWindowOrder(text) {
+    if (!text) return [];
+    let entries;
+    if (text.trim().startsWith('[')) {
+        try {
+            entries = JSON.parse(text);
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(entries)) return [];
+    } else {
+        entries = text.split('::').map(xid => ({ xid: parseInt(xid) }));
+    }
+    let result = [];
+    for (let entry of entries) {
+        if (!entry || typeof entry !== 'object') continue;
+        let descriptor = {
+            xid: Number.isInteger(entry.xid) && entry.xid > 0 ? entry.xid : null,
+            appId: typeof entry.appId === 'string' ? entry.appId : null,
+            wmClass: typeof entry.wmClass === 'string' ? entry.wmClass : null,
+            words: Array.isArray(entry.words) && entry.words.every(word => typeof word === 'string')
+                ? entry.words
+                : typeof entry.title === 'string' ? calcTitleHashes(entry.title) : null,
+            workspace: Number.isInteger(entry.workspace) ? entry.workspace : null
+        };
+        if (descriptor.xid !== null || descriptor.appId !== null || descriptor.wmClass !== null)
+            result.push(descriptor);
+    }
+    return result;
+}
+
+// How well an open window fits a saved slot; 0 for no match. An XID seen
+// again is the same window (an applet or Cinnamon restart). Otherwise the
+// app must match, then the title words and the workspace break ties.
+function scoreSavedWindow(saved, window) {
+    if (saved.xid !== null && window.xid && saved.xid === window.xid) return 100;
+    let sameApp = saved.appId !== null ? saved.appId === window.appId
+        : saved.wmClass !== null && !!window.wmClass
+            && saved.wmClass.toLowerCase() === window.wmClass.toLowerCase();
+    if (!sameApp) return 0;
+    let score = 10;
+    if (saved.words !== null) {
+        let words = calcTitleHashes(window.title);
+        if (words.join(' ') === saved.words.join(' ')) {
+            score += 4;
+        } else {
+            // Mostly the same words: up to 3, by the share of words in common
+            let shared = words.filter(word => saved.words.includes(word)).length;
+            let ratio = shared / Math.max(1, saved.words.length, words.length);
+            if (ratio >= 0.5) score += 3 * ratio;
+        }
+    }
+    if (saved.workspace !== null && saved.workspace === window.workspace) score += 1;
+    return score;
+}
+
+/**
+ * Match open windows to the slots of a saved order, best matches first.
+ * Each slot and each window is used at most once; ties go to the earlier
+ * slot and the earlier window, so windows of one app keep their order.
+ * @param {Array<Object|null>} saved - Descriptors from parseSavedWindowOrder;
+ *   null for slots already taken
+ * @param {Array<{xid: number, appId: string, wmClass: string, title: string, workspace: number}>} windows
+ *   Open windows with their full titles
+ * @returns {Array<number>} Saved slot index per window, -1 when none fits
+ */
+function matchSavedWindowOrder(saved, windows) {
+    let pairs = [];
+    for (let s = 0; s < saved.length; s++) {
+        if (!saved[s]) continue;
+        for (let w = 0; w < windows.length; w++) {
+            let score = scoreSavedWindow(saved[s], windows[w]);
+            if (score > 0) pairs.push({ score: score, slot: s, window: w });
+        }
+    }
+    pairs.sort((a, b) => b.score - a.score || a.slot - b.slot || a.window - b.window);
+    let slots = windows.map(() => -1);
+    let taken = new Set();
+    for (let pair of pairs) {
+        if (slots[pair.window] !== -1 || taken.has(pair.slot)) continue;
+        slots[pair.window] = pair.slot;
+        taken.add(pair.slot);
+    }
+    return slots;
+}
+
+/**
+ * Where a window restored into a saved slot goes: ahead of the first button
+ * holding a later slot, else just after the last button holding a slot.
+ * @param {Array<number>} slots - Saved slot per button in display order, -1 for none
+ * @param {number} slot - The new window's slot
+ * @returns {number} Insertion index
+ */
+function calcRestoredInsertionIndex(slots, slot) {
+    let index = 0;
+    for (let i = 0; i < slots.length; i++) {
+        if (slots[i] < 0) continue;
+        if (slots[i] > slot) return i;
+        index = i + 1;
+    }
+    return index;
+}
+
+/**
+ * Saved order to write while windows are still being restored: the open
+ * windows in display order, with the slots no window has taken yet kept
+ * beside the slots before them, so a restart mid-restore loses nothing.
+ * @param {Array<Object|null>} saved - Saved descriptors, null for taken slots
+ * @param {Array<{descriptor: Object, slot: number}>} current - Open windows in
+ *   display order with their saved slot, -1 for none
+ * @returns {Array<Object>} Descriptors to save
+ */
+function mergeSavedWindowOrder(saved, current) {
+    let result = current.slice();
+    for (let s = 0; s < saved.length; s++) {
+        if (!saved[s]) continue;
+        let at = 0;
+        for (let i = 0; i < result.length; i++) {
+            if (result[i].slot >= 0 && result[i].slot < s) at = i + 1;
+        }
+        result.splice(at, 0, { descriptor: saved[s], slot: s });
+    }
+    return result.map(entry => entry.descriptor);
+}
+
 /**
  * Calculate where to move an existing button whose app id resolved after it
  * was added (WindowTracker PID/WM_CLASS lookup race): after the last same-app
@@ -325,13 +1921,55 @@ function calcRegroupTargetIndex(appIds, selfIndex, appId) {
     return selfIndex;
 }
 
+/**
+ * Coalesce repeated requests for a task into one run. The first queue()
+ * schedules the run; further requests until it runs are absorbed, so a
+ * burst of window events (a session restore opening 40 windows) reflows
+ * once. The scheduler is injected: GLib idle in the applet, a plain queue
+ * in tests.
+ * @param {function(): void} run - The task
+ * @param {function(function(): boolean): number} schedule - Run the callback
+ *   later and return a source id
+ * @param {function(number): void} unschedule - Drop a scheduled source
+ * @returns {{queue: function(): void, cancel: function(): void, isPending: function(): boolean}}
+ */
+function createCoalescedTask(run, schedule, unschedule) {
+    let sourceId = 0;
+    return {
+        queue() {
+            if (sourceId) return;
+            sourceId = schedule(() => {
+                sourceId = 0;
+                run();
+                return false;
+            });
+        },
+        // Drop a pending run, e.g. because the task just ran synchronously
+        cancel() {
+            if (!sourceId) return;
+            unschedule(sourceId);
+            sourceId = 0;
+        },
+        isPending() {
+            return sourceId !== 0;
+        }
+    };
+}
+
 // Export for Node.js testing; ignored in GJS runtime
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        calcRowHeight, calcButtonHeight,
-        calcAdaptiveRowCount, calcButtonWidth, calcLayoutMode, calcAdaptiveFontSize, calcAdaptiveIconSize,
+        MAX_ROWS, calcRowHeight, calcButtonHeight, calcAutoRowCount, calcMinRowHeight,
+        calcAdaptiveRowCount, calcButtonWidth, calcPinnedRowLayout, calcLayoutMode, calcAdaptiveFontSize, calcAdaptiveIconSize,
+        calcOverflowCount, calcOverflowSet, calcIconOnlyMode, calcButtonLayout, calcWorkspaceRows, calcMaxButtonsPerRow, calcCollapsedGroups,
         calcGroupedInsertionIndex, calcDragInsertionIndex,
-        parsePinRules, matchPinRule, calcPinnedInsertionIndex, calcSortedButtonOrder,
-        buildEditorRules, filterPinRule, calcRegroupTargetIndex
+        isSyntheticAppId, resolveStableAppId, resolveAppIdCandidates, migratePinRuleAppIds,
+        TITLE_MATCH_MODES, compileTitlePattern, parsePinRules, matchPinRule, calcPinPreview, calcLauncherRules, calcPinnedZones, calcPinReorder,
+        parsePinProfiles, switchPinProfile, validatePinRuleImport, buildPinRuleExport, calcPinRuleFileName, calcPinnedInsertionIndex, calcSortedButtonOrder,
+        buildEditorRules, filterPinRule, parseTitleRewriteRules, applyTitleRewrites,
+        formatWindowLabel, buildWindowLabel, calcDistinctiveTitles,
+        calcLineBreaks, calcBalancedLineBreaks, calcRowAlignment, calcColumnMajorCell, calcColumnMajorWidths, calcPackedRows, calcWeightedSlotCount, parseAppOverrides, setAppOverride, calcRegroupTargetIndex,
+        calcTitleHashes, parseSavedWindowOrder, matchSavedWindowOrder, calcRestoredInsertionIndex, mergeSavedWindowOrder,
+        createCoalescedTask
     };
 }
@@ -137,8 +137,11 @@ for (var _i = 0; _i < _actors.length; _i++) {
     var _w = _actors[_i].get_meta_window();
     if (!_w) continue;
     var _app = _tracker.get_window_app(_w);
-    if (!_app) continue;
-    _r.push(_app.get_id() + " | " + (_w.get_title() || "").substring(0, 60));
+    var _id = _app ? _app.get_id() : null;
+    // Same fallback as the applet: synthetic window:N ids key on WM_CLASS
+    if ((!_id || /^window:\d+$/.test(_id)) && _w.get_wm_class()) _id = "wmclass:" + _w.get_wm_class();
+    if (!_id) continue;
+    _r.push(_id + " | " + (_w.get_title() || "").substring(0, 60));
 }
 _r.join("\n");
 ' | python3 "$EVAL_HELPER")
@@ -201,7 +204,9 @@ import sys, json
 rules = json.loads(sys.stdin.read())
 for i, r in enumerate(rules):
     title = r.get('title', '(any title)')
-    print(f'  {i}) priority={r[\"priority\"]}  app={r[\"appId\"]}  title={title}')
+    launcher = '  launcher' if r.get('launcher') else ''
+    fields = ''.join(f'  {k}={r[k]}' for k in ('match', 'wmClass', 'role', 'workspace', 'monitor', 'allWorkspaces', 'anchor') if k in r)
+    print(f'  {i}) priority={r[\"priority\"]}  app={r[\"appId\"]}  title={title}{fields}{launcher}')
 " <<< "$rules"
         ;;
 
@@ -71,10 +71,10 @@ describe('applet.js safety checks', () => {
         });
     });
 
-    describe('FlowLayout min_width override', () => {
+    describe('manager_container min_width override', () => {
         it('sets min_width = 0 in constructor after creating manager_container', () => {
             // After add_actor(manager_container), the constructor must set min_width = 0
-            // to prevent FlowLayout's inflated min_width from squeezing panel zones
+            // to prevent the button layout's inflated min_width from squeezing panel zones
             const pattern = /add_actor\s*\(\s*this\.manager_container\s*\)[\s\S]*?manager_container\.min_width\s*=\s*0/;
             assert.ok(
                 pattern.test(appletSource),
@@ -107,11 +107,11 @@ describe('applet.js safety checks', () => {
         });
 
         it('sets min_width = 0 in on_orientation_changed for horizontal', () => {
-            // After set_layout_manager in the horizontal branch, min_width must be set to 0
-            const pattern = /on_orientation_changed[\s\S]*?FlowLayout[\s\S]*?set_layout_manager[\s\S]*?min_width\s*=\s*0/;
+            // The horizontal branch must drop any min_width left over from a vertical panel
+            const pattern = /on_orientation_changed\(orientation\)\s*\{[\s\S]*?orientation == St\.Side\.BOTTOM\)\s*\{\s*this\.manager_container\.min_width\s*=\s*0/;
             assert.ok(
                 pattern.test(appletSource),
-                'on_orientation_changed must set manager_container.min_width = 0 after FlowLayout swap'
+                'on_orientation_changed must set manager_container.min_width = 0 for horizontal panels'
             );
         });
     });
@@ -377,7 +377,55 @@ describe('applet.js safety checks', () => {
         it('tracks _lastVisibleCount for 0→N transition', () => {
             assert.ok(
                 appletSource.includes('_lastVisibleCount'),
-                'applet must track _lastVisibleCount for workspace-switch FlowLayout refresh'
+                'applet must track _lastVisibleCount for workspace-switch layout refresh'
+            );
+        });
+    });
+
+    describe('multi-column vertical panels', () => {
+        it('lays LEFT/RIGHT panels out in columns with calcButtonLayout instead of a BoxLayout', () => {
+            const methodMatch = appletSource.match(
+                /_recomputeAdaptiveColumns\s*\(\)\s*\{([\s\S]*?)^\s{4}\}/m
+            );
+            assert.ok(methodMatch, 'could not find _recomputeAdaptiveColumns body');
+            assert.ok(
+                methodMatch[1].includes('calcButtonLayout') && methodMatch[1].includes('vertical: true'),
+                'vertical panels must wrap into columns through calcButtonLayout'
+            );
+            assert.ok(
+                !appletSource.includes('new Clutter.BoxLayout'),
+                'vertical panels must no longer use a plain Clutter.BoxLayout'
+            );
+        });
+
+        it('scales the vertical-panel height and icon-only thresholds by ui_scale', () => {
+            const methodMatch = appletSource.match(
+                /_recomputeAdaptiveColumns\s*\(\)\s*\{([\s\S]*?)^\s{4}\}/m
+            );
+            assert.ok(methodMatch, 'could not find _recomputeAdaptiveColumns body');
+            assert.match(methodMatch[1], /minHeight:\s*MIN_VERTICAL_BUTTON_HEIGHT\s*\*\s*uiScale/);
+            assert.match(methodMatch[1], /iconOnlyWidth:\s*ICON_ONLY_THRESHOLD\s*\*\s*uiScale/);
+        });
+
+        it('_recomputeAdaptiveRows delegates to _recomputeAdaptiveColumns on vertical panels', () => {
+            const methodMatch = appletSource.match(
+                /_recomputeAdaptiveRows\s*\(\)\s*\{([\s\S]*?)^\s{4}\}/m
+            );
+            assert.ok(methodMatch, 'could not find _recomputeAdaptiveRows body');
+            assert.ok(
+                methodMatch[1].includes('_recomputeAdaptiveColumns'),
+                '_recomputeAdaptiveRows must call _recomputeAdaptiveColumns instead of forcing a single stack'
+            );
+        });
+
+        it('_getPreferredWidth sizes vertical buttons by column width', () => {
+            const methodMatch = appletSource.match(
+                /_getPreferredWidth\s*\([\s\S]*?\)\s*\{([\s\S]*?)^\s{4}\}/m
+            );
+            assert.ok(methodMatch, 'could not find _getPreferredWidth body');
+            assert.ok(
+                methodMatch[1].includes('_computedColumns'),
+                '_getPreferredWidth must divide the panel thickness by _computedColumns'
             );
         });
     });
@@ -403,4 +451,23 @@ describe('applet.js safety checks', () => {
         });
     });
 
+    describe('pin matching uses stable app ids', () => {
+        it('matchPinRule is never called with a raw get_id() result', () => {
+            // Synthetic window:<n> ids change every session; every pin
+            // lookup must use the button's cached appIdCandidates.
+            const calls = appletSource.match(/\bmatchPinRule\([^)]*\)/g) || [];
+            assert.ok(calls.length > 0, 'no matchPinRule calls found');
+            for (const call of calls) {
+                assert.ok(
+                    call.includes('.appIdCandidates'),
+                    `matchPinRule call must use appIdCandidates: ${call}`
+                );
+            }
+        });
+
+        it('appIdCandidates comes from resolveAppIdCandidates', () => {
+            assert.match(appletSource, /this\.appIdCandidates = resolveAppIdCandidates\(/);
+        });
+    });
+
 });
@@ -1,11 +1,22 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const {
-    calcRowHeight, calcButtonHeight,
+    calcRowHeight, calcButtonHeight, MAX_ROWS, calcAutoRowCount, calcMinRowHeight,
     calcAdaptiveRowCount, calcLayoutMode, calcAdaptiveFontSize, calcAdaptiveIconSize,
     calcButtonWidth, calcGroupedInsertionIndex, calcDragInsertionIndex,
     parsePinRules, matchPinRule, calcPinnedInsertionIndex, calcSortedButtonOrder,
-    buildEditorRules, filterPinRule, calcRegroupTargetIndex
+    buildEditorRules, filterPinRule, calcRegroupTargetIndex,
+    calcOverflowCount, calcOverflowSet, calcWorkspaceRows, calcMaxButtonsPerRow,
+    calcCollapsedGroups, isSyntheticAppId, resolveStableAppId, resolveAppIdCandidates, migratePinRuleAppIds,
+    calcLauncherRules, calcPinnedZones, calcPinReorder,
+    parsePinProfiles, switchPinProfile, validatePinRuleImport, buildPinRuleExport, calcPinRuleFileName,
+    calcPinPreview, TITLE_MATCH_MODES, compileTitlePattern,
+    parseTitleRewriteRules, applyTitleRewrites, formatWindowLabel, buildWindowLabel,
+    calcDistinctiveTitles, calcWeightedSlotCount, parseAppOverrides, setAppOverride,
+    calcLineBreaks, calcPackedRows, calcBalancedLineBreaks, calcRowAlignment,
+    calcColumnMajorCell, calcColumnMajorWidths, calcPinnedRowLayout, createCoalescedTask,
+    calcIconOnlyMode, calcButtonLayout, calcTitleHashes, parseSavedWindowOrder,
+    matchSavedWindowOrder, calcRestoredInsertionIndex, mergeSavedWindowOrder
 } = require('../helpers');
 
 describe('calcRowHeight', () => {
@@ -144,6 +155,52 @@ describe('calcAdaptiveFontSize', () => {
         // rowHeight = (60-6)/2 = 27, floor(27/3.5) = 7
         assert.equal(calcAdaptiveFontSize(60, 2, 3), 7);
     });
+
+    it('keeps 6pt for 8 rows of 12px', () => {
+        // floor(12/3.5) = 3, floor(12/2) = 6
+        assert.equal(calcAdaptiveFontSize(96, 8), 6);
+    });
+
+    it('goes below 6pt when rows are too short for it', () => {
+        // 80px/8 = 10, floor(10/2) = 5
+        assert.equal(calcAdaptiveFontSize(80, 8), 5);
+    });
+
+    it('caps at 10pt for 8 rows on a very tall panel', () => {
+        assert.equal(calcAdaptiveFontSize(320, 8), 10);
+    });
+});
+
+describe('calcAutoRowCount', () => {
+    it('picks the most rows that stay tall enough', () => {
+        // 7 rows of 200px would be 28px, 6 rows 33px
+        assert.equal(calcAutoRowCount(200, 30, 8), 6);
+    });
+
+    it('stops at maxRows', () => {
+        assert.equal(calcAutoRowCount(200, 24, 8), 8);
+        assert.equal(calcAutoRowCount(200, 24, 3), 3);
+    });
+
+    it('returns 1 for a panel too short for two rows', () => {
+        assert.equal(calcAutoRowCount(40, 24, MAX_ROWS), 1);
+    });
+
+    it('counts the margin of every row', () => {
+        // 8 rows: (200-16)/8 = 23; 7 rows: (200-14)/7 = 26
+        assert.equal(calcAutoRowCount(200, 24, 8, 2), 7);
+    });
+});
+
+describe('calcMinRowHeight', () => {
+    it('uses pixel values as they are', () => {
+        assert.equal(calcMinRowHeight(20, 'pixels', 15), 20);
+    });
+
+    it('converts lines to pixels plus the button overhead', () => {
+        assert.equal(calcMinRowHeight(2, 'lines', 15, 6), 36);
+        assert.equal(calcMinRowHeight(1.5, 'lines', 13.3), 20);
+    });
 });
 
 describe('calcAdaptiveIconSize', () => {
@@ -180,6 +237,16 @@ describe('calcAdaptiveIconSize', () => {
         // rowHeight = (60-6)/2 = 27, floor(27*0.4) = 10 → clamped to 12
         assert.equal(calcAdaptiveIconSize(60, 2, 0, 3), 12);
     });
+
+    it('keeps the icon inside rows too short for 12px', () => {
+        // 96px/8 = 12, floor(12*0.75) = 9
+        assert.equal(calcAdaptiveIconSize(96, 8, 0), 9);
+    });
+
+    it('scales with 8 rows on a tall panel', () => {
+        // 320px/8 = 40, floor(40*0.4) = 16
+        assert.equal(calcAdaptiveIconSize(320, 8, 0), 16);
+    });
 });
 
 describe('calcButtonWidth', () => {
@@ -226,6 +293,316 @@ describe('calcButtonWidth', () => {
     });
 });
 
+describe('calcLineBreaks', () => {
+    it('fills each row before breaking', () => {
+        assert.deepEqual(calcLineBreaks([100, 200, 150, 50, 300], 400), [2, 2, 1]);
+    });
+
+    it('breaks exactly at the container width', () => {
+        assert.deepEqual(calcLineBreaks([200, 200, 200], 400), [2, 1]);
+    });
+
+    it('gives an oversized button its own row', () => {
+        assert.deepEqual(calcLineBreaks([100, 500, 100], 400), [1, 1, 1]);
+    });
+
+    it('returns no rows for no buttons', () => {
+        assert.deepEqual(calcLineBreaks([], 400), []);
+    });
+});
+
+describe('calcBalancedLineBreaks', () => {
+    it('splits equal buttons evenly', () => {
+        let widths = new Array(14).fill(100);
+        assert.deepEqual(calcLineBreaks(widths, 1000), [10, 4]);
+        assert.deepEqual(calcBalancedLineBreaks(widths, 1000, 2), [7, 7]);
+    });
+
+    it('puts the odd button in the first rows', () => {
+        assert.deepEqual(calcBalancedLineBreaks(new Array(7).fill(100), 500, 2), [4, 3]);
+        assert.deepEqual(calcBalancedLineBreaks(new Array(10).fill(100), 400, 3), [4, 3, 3]);
+    });
+
+    it('evens out variable widths without adding rows', () => {
+        let rows = calcBalancedLineBreaks([300, 300, 100, 100, 100, 100], 800, 2);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows, [2, 4]);
+    });
+
+    it('leaves a single row alone', () => {
+        assert.deepEqual(calcBalancedLineBreaks([100, 100, 100], 1000, 2), [3]);
+    });
+
+    it('keeps the greedy breaks when maxRows is not enough anyway', () => {
+        assert.deepEqual(calcBalancedLineBreaks(new Array(5).fill(100), 200, 2), [2, 2, 1]);
+    });
+});
+
+describe('calcRowAlignment', () => {
+    const widths = [100, 100, 100];
+
+    it('packs from the left', () => {
+        assert.deepEqual(calcRowAlignment(widths, 500, 'left'), { x: [0, 100, 200], widths: widths });
+    });
+
+    it('shifts the row right or to the center', () => {
+        assert.deepEqual(calcRowAlignment(widths, 500, 'right').x, [200, 300, 400]);
+        assert.deepEqual(calcRowAlignment(widths, 500, 'center').x, [100, 200, 300]);
+    });
+
+    it('stretches buttons to span the row when justified', () => {
+        let result = calcRowAlignment(widths, 502, 'justify');
+        assert.deepEqual(result.widths, [168, 167, 167]);
+        assert.deepEqual(result.x, [0, 168, 335]);
+    });
+
+    it('accounts for spacing', () => {
+        assert.deepEqual(calcRowAlignment([100, 100], 300, 'right', 10).x, [90, 200]);
+    });
+
+    it('lays an overfull row out from the left', () => {
+        assert.deepEqual(calcRowAlignment(widths, 250, 'center').x, [0, 100, 200]);
+    });
+});
+
+describe('calcPinnedRowLayout', () => {
+    it('gives pinned buttons a row at the configured width', () => {
+        // 3 pinned + 12 unpinned at 150px in 900px: unpinned need both remaining rows
+        assert.deepEqual(calcPinnedRowLayout(900, 3, 12, 150, 3, 50),
+            { rows: 3, pinnedWidth: 150, unpinnedWidth: 150 });
+    });
+
+    it('shrinks only the unpinned buttons when they do not fit', () => {
+        // 20 unpinned in 2 rows of 900px: 10 per row at 90px
+        assert.deepEqual(calcPinnedRowLayout(900, 2, 20, 150, 3, 50),
+            { rows: 3, pinnedWidth: 150, unpinnedWidth: 90 });
+    });
+
+    it('shrinks pinned buttons that overfill their row', () => {
+        assert.equal(calcPinnedRowLayout(900, 9, 2, 150, 2, 50).pinnedWidth, 100);
+    });
+
+    it('uses one row when every button is pinned', () => {
+        assert.equal(calcPinnedRowLayout(900, 4, 0, 150, 3, 50).rows, 1);
+    });
+
+    it('uses only the rows the unpinned buttons need', () => {
+        assert.equal(calcPinnedRowLayout(900, 2, 4, 150, 4, 50).rows, 2);
+    });
+
+    it('returns null without pinned buttons or a second row', () => {
+        assert.equal(calcPinnedRowLayout(900, 0, 5, 150, 3, 50), null);
+        assert.equal(calcPinnedRowLayout(900, 2, 5, 150, 1, 50), null);
+    });
+});
+
+describe('calcColumnMajorCell', () => {
+    it('fills each column top to bottom', () => {
+        assert.deepEqual([0, 1, 2, 3, 4].map(i => calcColumnMajorCell(i, 2)), [
+            { column: 0, row: 0 }, { column: 0, row: 1 },
+            { column: 1, row: 0 }, { column: 1, row: 1 },
+            { column: 2, row: 0 },
+        ]);
+    });
+
+    it('puts everything in one row with a single row', () => {
+        assert.deepEqual(calcColumnMajorCell(3, 1), { column: 3, row: 0 });
+        assert.deepEqual(calcColumnMajorCell(3, 0), { column: 3, row: 0 });
+    });
+});
+
+describe('calcColumnMajorWidths', () => {
+    it('makes each column as wide as its widest button', () => {
+        assert.deepEqual(calcColumnMajorWidths([100, 150, 80, 60, 120], 2), [150, 80, 120]);
+    });
+
+    it('returns no columns for no buttons', () => {
+        assert.deepEqual(calcColumnMajorWidths([], 3), []);
+    });
+});
+
+describe('calcPackedRows', () => {
+    it('keeps desired widths when they fit', () => {
+        let result = calcPackedRows([80, 250, 120, 300], 500, 2, 60);
+        assert.deepEqual(result.widths, [80, 250, 120, 300]);
+        assert.deepEqual(result.rows, [3, 1]);
+        assert.equal(result.fits, true);
+        assert.equal(result.scale, 1);
+    });
+
+    it('shrinks all widths by one factor until maxRows is enough', () => {
+        let result = calcPackedRows([300, 300, 300, 300], 500, 2, 60);
+        assert.equal(result.fits, true);
+        assert.equal(result.rows.length, 2);
+        assert.ok(result.scale < 1 && result.scale > 0.8);
+        // Largest factor that fits: two 250s per row
+        assert.deepEqual(result.widths, [250, 250, 250, 250]);
+    });
+
+    it('keeps longer titles wider than short ones after shrinking', () => {
+        let result = calcPackedRows([400, 100, 400, 100, 400, 100], 600, 2, 60);
+        assert.equal(result.fits, true);
+        assert.ok(result.widths[0] > result.widths[1]);
+        assert.ok(result.rows.length <= 2);
+    });
+
+    it('never shrinks below minWidth and reports when nothing fits', () => {
+        let result = calcPackedRows([200, 200, 200, 200, 200], 300, 1, 100);
+        assert.equal(result.fits, false);
+        assert.deepEqual(result.widths, [100, 100, 100, 100, 100]);
+    });
+
+    it('does not grow buttons already narrower than minWidth', () => {
+        let result = calcPackedRows([40, 400, 400], 500, 2, 100);
+        assert.equal(result.widths[0], 40);
+    });
+
+    it('handles no buttons', () => {
+        assert.deepEqual(calcPackedRows([], 500, 2, 60), { widths: [], rows: [], scale: 1, fits: true });
+    });
+});
+
+describe('calcWeightedSlotCount', () => {
+    it('counts one slot per default-width button', () => {
+        assert.equal(calcWeightedSlotCount([1, 1, 1], 2), 3);
+        assert.equal(calcWeightedSlotCount([], 2), 0);
+    });
+
+    it('counts wide buttons by their scale and reserves row-break slack', () => {
+        // 2 + 1 + 1 = 4, plus one stranded slot for the one row break
+        assert.equal(calcWeightedSlotCount([2, 1, 1], 2), 5);
+        assert.equal(calcWeightedSlotCount([2, 1, 1], 1), 4);
+    });
+
+    it('rounds narrow buttons up to whole slots', () => {
+        assert.equal(calcWeightedSlotCount([0.5, 0.5, 1], 3), 2);
+        assert.equal(calcWeightedSlotCount([0.5, 1], 3), 2);
+        assert.equal(calcWeightedSlotCount([0.1, 0.2, 0.7], 1), 1);
+    });
+});
+
+describe('calcOverflowCount', () => {
+    it('returns 0 when all buttons fit at minimum width', () => {
+        // 938/80 = 11 per row × 2 rows = 22 slots
+        assert.equal(calcOverflowCount(938, 22, 150, 2, 80), 0);
+    });
+
+    it('hides enough buttons to leave a slot for the overflow button', () => {
+        // 22 slots, 23 buttons → 21 shown + overflow button, 2 hidden
+        assert.equal(calcOverflowCount(938, 23, 150, 2, 80), 2);
+    });
+
+    it('scales with the number of extra windows', () => {
+        // 22 slots, 40 buttons → 21 shown, 19 hidden
+        assert.equal(calcOverflowCount(938, 40, 150, 2, 80), 19);
+    });
+
+    it('uses configured width when it is narrower than minWidth', () => {
+        // buttons never shrink below 60 here: 938/60 = 15 per row × 1 row
+        assert.equal(calcOverflowCount(938, 16, 60, 1, 80), 2);
+    });
+
+    it('returns 0 for no buttons or zero width', () => {
+        assert.equal(calcOverflowCount(938, 0, 150, 2, 80), 0);
+        assert.equal(calcOverflowCount(0, 30, 150, 2, 80), 0);
+    });
+
+    it('hides everything when only one slot exists', () => {
+        assert.equal(calcOverflowCount(100, 3, 150, 1, 80), 3);
+    });
+});
+
+describe('calcOverflowSet', () => {
+    it('flags the trailing buttons', () => {
+        let buttons = [{pinned: false}, {pinned: false}, {pinned: false}, {pinned: false}];
+        assert.deepEqual(calcOverflowSet(buttons, 2), [false, false, true, true]);
+    });
+
+    it('never flags pinned buttons', () => {
+        let buttons = [{pinned: true}, {pinned: false}, {pinned: true}, {pinned: false}];
+        assert.deepEqual(calcOverflowSet(buttons, 2), [false, true, false, true]);
+    });
+
+    it('flags fewer than requested when unpinned buttons run out', () => {
+        let buttons = [{pinned: true}, {pinned: true}, {pinned: false}];
+        assert.deepEqual(calcOverflowSet(buttons, 2), [false, false, true]);
+    });
+
+    it('flags nothing for count 0', () => {
+        assert.deepEqual(calcOverflowSet([{pinned: false}], 0), [false]);
+    });
+});
+
+describe('calcCollapsedGroups', () => {
+    const term = (pinned = false) => ({ appId: 'terminal', pinned });
+
+    it('collapses apps with more windows than the threshold', () => {
+        let buttons = [term(), {appId: 'firefox', pinned: false}, term(), term(), term()];
+        assert.deepEqual(calcCollapsedGroups(buttons, 3), [
+            { appId: 'terminal', count: 4, firstIndex: 0 }
+        ]);
+    });
+
+    it('does not collapse at exactly the threshold', () => {
+        assert.deepEqual(calcCollapsedGroups([term(), term(), term()], 3), []);
+    });
+
+    it('pinned windows neither collapse nor count', () => {
+        let buttons = [term(true), term(), term(), term()];
+        assert.deepEqual(calcCollapsedGroups(buttons, 3), []);
+        assert.deepEqual(calcCollapsedGroups(buttons, 2), [
+            { appId: 'terminal', count: 3, firstIndex: 1 }
+        ]);
+    });
+
+    it('ignores buttons without an app id', () => {
+        let buttons = [{appId: null, pinned: false}, {appId: null, pinned: false}];
+        assert.deepEqual(calcCollapsedGroups(buttons, 1), []);
+    });
+
+    it('orders groups by first appearance', () => {
+        let ff = {appId: 'firefox', pinned: false};
+        let buttons = [ff, term(), ff, term()];
+        assert.deepEqual(calcCollapsedGroups(buttons, 1).map(g => g.appId), ['firefox', 'terminal']);
+    });
+});
+
+describe('calcWorkspaceRows', () => {
+    it('maps each button to its workspace row', () => {
+        assert.deepEqual(calcWorkspaceRows([0, 1, 0, 2], 3), [0, 1, 0, 2]);
+    });
+
+    it('placeholder joins the row of the preceding button', () => {
+        assert.deepEqual(calcWorkspaceRows([1, null, 0], 2), [1, 1, 0]);
+    });
+
+    it('leading placeholder joins the row of the following button', () => {
+        assert.deepEqual(calcWorkspaceRows([null, 2, 0], 3), [2, 2, 0]);
+    });
+
+    it('clamps workspaces beyond the last row', () => {
+        assert.deepEqual(calcWorkspaceRows([0, 5], 2), [0, 1]);
+    });
+
+    it('puts everything on row 0 when nothing is known', () => {
+        assert.deepEqual(calcWorkspaceRows([null, null], 2), [0, 0]);
+    });
+
+    it('handles empty input', () => {
+        assert.deepEqual(calcWorkspaceRows([], 4), []);
+    });
+});
+
+describe('calcMaxButtonsPerRow', () => {
+    it('returns the size of the fullest row', () => {
+        assert.equal(calcMaxButtonsPerRow([0, 1, 0, 2, 0, 1]), 3);
+    });
+
+    it('returns 0 for no buttons', () => {
+        assert.equal(calcMaxButtonsPerRow([]), 0);
+    });
+});
+
 describe('calcGroupedInsertionIndex', () => {
     it('returns 0 for empty list', () => {
         assert.equal(calcGroupedInsertionIndex([], 'firefox.desktop'), 0);
@@ -268,6 +645,165 @@ describe('calcGroupedInsertionIndex', () => {
     });
 });
 
+describe('calcPinReorder', () => {
+    const raw = [
+        { appId: 'a.desktop', priority: 0 },
+        { appId: 'b.desktop', title: 'x', priority: 1 },
+        { appId: 'c.desktop', priority: 4 },
+        { appId: 'z.desktop', priority: 0, anchor: 'right' }
+    ];
+
+    it('hands the used priorities out in the new order', () => {
+        let ordered = [
+            { appId: 'c.desktop', priority: 4 },
+            { appId: 'a.desktop', priority: 0 },
+            { appId: 'b.desktop', priority: 1 }
+        ];
+        assert.deepEqual(calcPinReorder(raw, ordered, 'left').map(r => r.priority), [1, 4, 0, 0]);
+    });
+
+    it('uses the outermost window of a multi-window rule', () => {
+        let ordered = [
+            { appId: 'b.desktop', priority: 1 },
+            { appId: 'a.desktop', priority: 0 },
+            { appId: 'b.desktop', priority: 1 }
+        ];
+        assert.deepEqual(calcPinReorder(raw, ordered, 'left').map(r => r.priority), [1, 0, 4, 0]);
+    });
+
+    it('leaves rules of the other zone alone', () => {
+        let ordered = [{ appId: 'z.desktop', priority: 0 }];
+        let result = calcPinReorder(raw, [{ appId: 'a.desktop', priority: 0 }], 'right');
+        assert.deepEqual(result, raw);
+        assert.deepEqual(calcPinReorder(raw, ordered, 'right'), raw);
+    });
+
+    it('splits tied priorities so the new order sticks', () => {
+        let tied = [
+            { appId: 'a.desktop', priority: 2 },
+            { appId: 'b.desktop', priority: 2 }
+        ];
+        let ordered = [
+            { appId: 'b.desktop', priority: 2 },
+            { appId: 'a.desktop', priority: 2 }
+        ];
+        assert.deepEqual(calcPinReorder(tied, ordered, 'left').map(r => r.priority), [3, 2]);
+    });
+
+    it('bumps ties past priorities held by rules outside the zone order', () => {
+        // c.desktop is closed and has no launcher, so it is not in ordered
+        let tied = [
+            { appId: 'a.desktop', priority: 2 },
+            { appId: 'b.desktop', priority: 2 },
+            { appId: 'c.desktop', priority: 3 },
+            { appId: 'd.desktop', priority: 4, anchor: 'right' }
+        ];
+        let ordered = [
+            { appId: 'b.desktop', priority: 2 },
+            { appId: 'a.desktop', priority: 2 }
+        ];
+        assert.deepEqual(calcPinReorder(tied, ordered, 'left').map(r => r.priority), [4, 2, 3, 4]);
+    });
+
+    it('does not mutate the input', () => {
+        let ordered = [{ appId: 'b.desktop', priority: 1 }, { appId: 'a.desktop', priority: 0 }];
+        calcPinReorder(raw, ordered, 'left');
+        assert.equal(raw[0].priority, 0);
+    });
+});
+
+describe('parsePinProfiles', () => {
+    it('parses a name → rules object', () => {
+        let profiles = parsePinProfiles('{"work":[{"appId":"a.desktop","priority":0}],"personal":[]}');
+        assert.deepEqual(Object.keys(profiles), ['work', 'personal']);
+        assert.equal(profiles.work.length, 1);
+    });
+
+    it('drops entries that are not rule arrays', () => {
+        assert.deepEqual(parsePinProfiles('{"work":"oops","home":[]}'), { home: [] });
+    });
+
+    it('returns no profiles for malformed input', () => {
+        assert.deepEqual(parsePinProfiles('not json'), {});
+        assert.deepEqual(parsePinProfiles('[]'), {});
+        assert.deepEqual(parsePinProfiles('null'), {});
+    });
+});
+
+describe('switchPinProfile', () => {
+    const work = [{ appId: 'a.desktop', priority: 0 }];
+    const home = [{ appId: 'b.desktop', priority: 0 }];
+
+    it('stores the live rules and loads the target', () => {
+        let result = switchPinProfile({ home: home }, 'work', work, 'home');
+        assert.deepEqual(result.profiles, { home: home, work: work });
+        assert.deepEqual(result.rules, home);
+    });
+
+    it('starts a new profile empty', () => {
+        let result = switchPinProfile({}, 'work', work, 'new');
+        assert.deepEqual(result.rules, []);
+        assert.deepEqual(result.profiles, { work: work });
+    });
+
+    it('does not mutate the stored profiles', () => {
+        let profiles = { home: home };
+        switchPinProfile(profiles, 'work', work, 'home');
+        assert.deepEqual(Object.keys(profiles), ['home']);
+    });
+});
+
+describe('validatePinRuleImport', () => {
+    it('accepts a bare rules array', () => {
+        let result = validatePinRuleImport('[{"appId":"a.desktop","priority":0}]');
+        assert.equal(result.rules.length, 1);
+        assert.equal(result.profile, null);
+        assert.equal(result.error, null);
+    });
+
+    it('reads an exported profile back', () => {
+        let rules = [{ appId: 'a.desktop', title: '^Mail', priority: 0 }];
+        let result = validatePinRuleImport(buildPinRuleExport('work', rules));
+        assert.equal(result.profile, 'work');
+        assert.deepEqual(result.rules, rules);
+        assert.deepEqual(result.rejected, []);
+    });
+
+    it('reports the entries parsePinRules rejects', () => {
+        let json = JSON.stringify([
+            { appId: 'a.desktop', priority: 0 },
+            { appId: 'b.desktop', title: '([', priority: 1 },
+            { priority: 2 },
+            'junk'
+        ]);
+        let result = validatePinRuleImport(json);
+        assert.equal(result.rules.length, 1);
+        assert.deepEqual(result.rejected.map(r => r.index), [1, 2, 3]);
+    });
+
+    it('sets an error for files that are not rule lists', () => {
+        assert.ok(validatePinRuleImport('{oops').error);
+        assert.ok(validatePinRuleImport('{"profile":"x"}').error);
+        assert.ok(validatePinRuleImport('42').error);
+    });
+});
+
+describe('calcPinRuleFileName', () => {
+    it('names the file after the profile', () => {
+        assert.equal(calcPinRuleFileName('work'), 'pin-rules-work.json');
+    });
+
+    it('replaces path separators and characters files cannot hold', () => {
+        assert.equal(calcPinRuleFileName('work/home'), 'pin-rules-work-home.json');
+        assert.equal(calcPinRuleFileName('a\\b:c*?'), 'pin-rules-a-b-c--.json');
+        assert.equal(calcPinRuleFileName('x\ny'), 'pin-rules-x-y.json');
+    });
+
+    it('keeps spaces and non-ASCII letters', () => {
+        assert.equal(calcPinRuleFileName('Büro 2'), 'pin-rules-Büro 2.json');
+    });
+});
+
 describe('calcRegroupTargetIndex', () => {
     // Used when a window's app id resolves AFTER its button was added
     // (WindowTracker PID/WM_CLASS lookup race): move the existing button
@@ -370,6 +906,44 @@ describe('calcButtonHeight — margin math for theme correctness', () => {
     });
 });
 
+describe('calcDragInsertionIndex column-major', () => {
+    // Two rows, column-major: B0 above B1, B2 above B3, B4 alone in column 2
+    //   [B0: 0,0]  [B2: 150,0]  [B4: 300,0]
+    //   [B1: 0,30] [B3: 150,30]
+    const columnButtons = [
+        { x: 0,   y: 0,  width: 150, height: 30 },
+        { x: 0,   y: 30, width: 150, height: 30 },
+        { x: 150, y: 0,  width: 150, height: 30 },
+        { x: 150, y: 30, width: 150, height: 30 },
+        { x: 300, y: 0,  width: 150, height: 30 },
+    ];
+
+    it('returns -1 for empty child list', () => {
+        assert.equal(calcDragInsertionIndex([], 100, 15, false, 2), -1);
+    });
+
+    it('finds the button in the cell under the cursor', () => {
+        assert.equal(calcDragInsertionIndex(columnButtons, 75, 15, false, 2), 0);
+        assert.equal(calcDragInsertionIndex(columnButtons, 75, 45, false, 2), 1);
+        assert.equal(calcDragInsertionIndex(columnButtons, 225, 45, false, 2), 3);
+    });
+
+    it('inserts after the last button of a short column', () => {
+        assert.equal(calcDragInsertionIndex(columnButtons, 375, 45, false, 2), 5);
+    });
+
+    it('skips hidden children when assigning cells', () => {
+        const withHidden = [
+            { x: 0, y: 0, width: 150, height: 30 },
+            { x: 0, y: 0, width: 0, height: 0 },
+            { x: 0, y: 30, width: 150, height: 30 },
+            { x: 150, y: 0, width: 150, height: 30 },
+        ];
+        assert.equal(calcDragInsertionIndex(withHidden, 75, 45, false, 2), 2);
+        assert.equal(calcDragInsertionIndex(withHidden, 225, 45, false, 2), 4);
+    });
+});
+
 describe('calcDragInsertionIndex', () => {
     // Layout for multi-row tests:
     //   Container: 300px wide, buttons 150px wide × 30px tall
@@ -535,6 +1109,32 @@ describe('calcDragInsertionIndex', () => {
 });
 
 describe('parsePinRules', () => {
+    it('defaults the match mode to regex', () => {
+        let rules = parsePinRules('[{"appId":"a.desktop","title":"^Mail","priority":0}]');
+        assert.equal(rules[0].matchMode, 'regex');
+        assert.ok(!rules[0].titleRegex.test('mail'));
+    });
+
+    it('compiles the title under the match mode', () => {
+        let rules = parsePinRules(JSON.stringify([
+            { appId: 'a.desktop', title: 'Mail (*)', match: 'glob', priority: 0 },
+            { appId: 'b.desktop', title: 'mail', match: 'regex-i', priority: 1 }
+        ]));
+        assert.equal(rules[0].matchMode, 'glob');
+        assert.ok(rules[0].titleRegex.test('Mail (3)'));
+        assert.ok(rules[1].titleRegex.test('MAIL'));
+    });
+
+    it('drops rules with an unknown match mode', () => {
+        assert.equal(parsePinRules('[{"appId":"a.desktop","title":"x","match":"fuzzy","priority":0}]').length, 0);
+    });
+
+    it('keeps literal titles that are not valid regexes', () => {
+        let rules = parsePinRules('[{"appId":"a.desktop","title":"Mail (","match":"contains","priority":0}]');
+        assert.equal(rules.length, 1);
+        assert.ok(rules[0].titleRegex.test('Mail (2'));
+    });
+
     it('parses valid JSON array', () => {
         let rules = parsePinRules('[{"appId":"firefox.desktop","title":"^Mail","priority":0}]');
         assert.equal(rules.length, 1);
@@ -674,33 +1274,334 @@ describe('matchPinRule', () => {
     });
 });
 
-describe('calcPinnedInsertionIndex', () => {
-    it('returns 0 for empty container', () => {
-        assert.equal(calcPinnedInsertionIndex([], 0, 'firefox.desktop'), 0);
+describe('matchPinRule — equivalent app ids', () => {
+    const rules = parsePinRules(JSON.stringify([
+        {appId: "wmclass:sublime_text", priority: 0},
+        {appId: "window:25", priority: 1}
+    ]));
+
+    it('matches a stable wmclass: rule through the id list', () => {
+        let match = matchPinRule(rules, ['wmclass:sublime_text', 'window:7'], 'main.py');
+        assert.equal(match.priority, 0);
     });
 
-    it('inserts at start when priority is lower than all existing', () => {
-        let children = [
-            {pinPriority: 5, appId: 'terminal.desktop'},
-            {pinPriority: null, appId: 'nautilus.desktop'}
-        ];
-        assert.equal(calcPinnedInsertionIndex(children, 0, 'firefox.desktop'), 0);
+    it('still matches a legacy synthetic-id rule in the same session', () => {
+        let match = matchPinRule(rules, ['wmclass:Code', 'window:25'], 'x');
+        assert.equal(match.priority, 1);
     });
 
-    it('inserts after existing pinned with lower priority', () => {
-        let children = [
-            {pinPriority: 0, appId: 'firefox.desktop'},
-            {pinPriority: null, appId: 'nautilus.desktop'}
-        ];
-        assert.equal(calcPinnedInsertionIndex(children, 5, 'terminal.desktop'), 1);
+    it('ignores null entries and returns null for an empty list', () => {
+        assert.equal(matchPinRule(rules, [null], 'x'), null);
+        assert.equal(matchPinRule(rules, [], 'x'), null);
     });
+});
 
-    it('appends after last sibling with same priority+appId', () => {
-        let children = [
-            {pinPriority: 0, appId: 'firefox.desktop'},
-            {pinPriority: 0, appId: 'firefox.desktop'},
-            {pinPriority: 5, appId: 'terminal.desktop'},
-            {pinPriority: null, appId: 'nautilus.desktop'}
+describe('isSyntheticAppId', () => {
+    it('detects window:<n> ids', () => {
+        assert.equal(isSyntheticAppId('window:25'), true);
+    });
+
+    it('rejects desktop ids and near misses', () => {
+        assert.equal(isSyntheticAppId('firefox.desktop'), false);
+        assert.equal(isSyntheticAppId('window:'), false);
+        assert.equal(isSyntheticAppId('window:2x'), false);
+        assert.equal(isSyntheticAppId(null), false);
+    });
+});
+
+describe('resolveStableAppId', () => {
+    it('keeps real desktop ids', () => {
+        assert.equal(resolveStableAppId('firefox.desktop', 'firefox'), 'firefox.desktop');
+    });
+
+    it('replaces synthetic ids with the WM_CLASS key', () => {
+        assert.equal(resolveStableAppId('window:25', 'sublime_text'), 'wmclass:sublime_text');
+    });
+
+    it('uses the WM_CLASS key when there is no app', () => {
+        assert.equal(resolveStableAppId(null, 'Discord'), 'wmclass:Discord');
+    });
+
+    it('keeps the synthetic id when there is no WM_CLASS', () => {
+        assert.equal(resolveStableAppId('window:25', null), 'window:25');
+        assert.equal(resolveStableAppId(null, null), null);
+    });
+});
+
+describe('resolveAppIdCandidates', () => {
+    it('lists only the id for real desktop ids', () => {
+        assert.deepEqual(resolveAppIdCandidates('firefox.desktop', 'firefox'), ['firefox.desktop']);
+    });
+
+    it('lists the stable id before the synthetic one', () => {
+        assert.deepEqual(resolveAppIdCandidates('window:25', 'sublime_text'),
+            ['wmclass:sublime_text', 'window:25']);
+    });
+
+    it('lists the WM_CLASS key alone when there is no app', () => {
+        assert.deepEqual(resolveAppIdCandidates(null, 'Discord'), ['wmclass:Discord']);
+    });
+});
+
+describe('migratePinRuleAppIds', () => {
+    it('rewrites synthetic ids that have a mapping', () => {
+        let rules = [
+            { appId: 'window:25', title: 'x', priority: 0 },
+            { appId: 'firefox.desktop', priority: 1 }
+        ];
+        let result = migratePinRuleAppIds(rules, { 'window:25': 'wmclass:sublime_text' });
+        assert.deepEqual(result.rules, [
+            { appId: 'wmclass:sublime_text', title: 'x', priority: 0 },
+            { appId: 'firefox.desktop', priority: 1 }
+        ]);
+        assert.equal(result.migrated, 1);
+        assert.equal(result.unresolved, 0);
+    });
+
+    it('keeps and counts synthetic ids without a mapping', () => {
+        let rules = [{ appId: 'window:9', priority: 0 }];
+        let result = migratePinRuleAppIds(rules, {});
+        assert.deepEqual(result.rules, rules);
+        assert.equal(result.migrated, 0);
+        assert.equal(result.unresolved, 1);
+    });
+
+    it('does not mutate the input', () => {
+        let rules = [{ appId: 'window:25', priority: 0 }];
+        migratePinRuleAppIds(rules, { 'window:25': 'wmclass:a' });
+        assert.equal(rules[0].appId, 'window:25');
+    });
+});
+
+describe('parsePinRules — anchor', () => {
+    it('defaults to left', () => {
+        assert.equal(parsePinRules('[{"appId":"a.desktop","priority":0}]')[0].anchor, 'left');
+    });
+
+    it('accepts right and drops unknown anchors', () => {
+        let rules = parsePinRules('[{"appId":"a.desktop","priority":0,"anchor":"right"},'
+            + '{"appId":"b.desktop","priority":0,"anchor":"middle"}]');
+        assert.equal(rules.length, 1);
+        assert.equal(rules[0].anchor, 'right');
+    });
+});
+
+describe('parsePinRules — launcher flag', () => {
+    it('defaults to false', () => {
+        let rules = parsePinRules('[{"appId":"a.desktop","priority":0}]');
+        assert.equal(rules[0].launcher, false);
+    });
+
+    it('is true only for a literal true', () => {
+        let rules = parsePinRules('[{"appId":"a.desktop","priority":0,"launcher":true},'
+            + '{"appId":"b.desktop","priority":1,"launcher":"yes"}]');
+        assert.equal(rules[0].launcher, true);
+        assert.equal(rules[1].launcher, false);
+    });
+});
+
+describe('parsePinRules — window fields', () => {
+    it('defaults every window field to null', () => {
+        let [rule] = parsePinRules('[{"appId":"a.desktop","priority":0}]');
+        assert.equal(rule.wmClass, null);
+        assert.equal(rule.role, null);
+        assert.equal(rule.workspace, null);
+        assert.equal(rule.monitor, null);
+        assert.equal(rule.allWorkspaces, null);
+    });
+
+    it('keeps valid window fields', () => {
+        let [rule] = parsePinRules(JSON.stringify([{appId: "a.desktop", priority: 0,
+            wmClass: "gnome-terminal-server", role: "gnome-terminal-window-1",
+            workspace: 2, monitor: 0, allWorkspaces: false}]));
+        assert.equal(rule.wmClass, 'gnome-terminal-server');
+        assert.equal(rule.role, 'gnome-terminal-window-1');
+        assert.equal(rule.workspace, 2);
+        assert.equal(rule.monitor, 0);
+        assert.equal(rule.allWorkspaces, false);
+    });
+
+    it('drops rules with mistyped window fields', () => {
+        let json = JSON.stringify([
+            {appId: "a.desktop", priority: 0, wmClass: 5},
+            {appId: "b.desktop", priority: 0, workspace: -1},
+            {appId: "c.desktop", priority: 0, monitor: 1.5},
+            {appId: "d.desktop", priority: 0, allWorkspaces: "yes"},
+            {appId: "e.desktop", priority: 0, workspace: null}
+        ]);
+        assert.deepEqual(parsePinRules(json).map(r => r.appId), ['e.desktop']);
+    });
+});
+
+describe('matchPinRule — window fields', () => {
+    const rules = parsePinRules(JSON.stringify([
+        {appId: "term.desktop", wmClass: "Gnome-terminal", role: "logs", priority: 0},
+        {appId: "term.desktop", workspace: 1, priority: 1},
+        {appId: "term.desktop", monitor: 1, allWorkspaces: true, priority: 2},
+        {appId: "term.desktop", priority: 3}
+    ]));
+    const info = (fields) => Object.assign({
+        wmClass: 'Gnome-terminal', role: null, workspace: 0, monitor: 0, allWorkspaces: false
+    }, fields);
+
+    it('matches on WM_CLASS and role together', () => {
+        assert.equal(matchPinRule(rules, 'term.desktop', 't', info({ role: 'logs' })).priority, 0);
+    });
+
+    it('matches on workspace index', () => {
+        assert.equal(matchPinRule(rules, 'term.desktop', 't', info({ workspace: 1 })).priority, 1);
+    });
+
+    it('matches on monitor and all-workspaces', () => {
+        assert.equal(matchPinRule(rules, 'term.desktop', 't', info({ monitor: 1, allWorkspaces: true })).priority, 2);
+        assert.equal(matchPinRule(rules, 'term.desktop', 't', info({ monitor: 1 })).priority, 3);
+    });
+
+    it('falls back to the plain rule when no field matches', () => {
+        assert.equal(matchPinRule(rules, 'term.desktop', 't', info({})).priority, 3);
+    });
+
+    it('never matches field rules without window info', () => {
+        assert.equal(matchPinRule(rules, 'term.desktop', 't').priority, 3);
+    });
+});
+
+describe('calcPinPreview', () => {
+    const windows = [
+        { appIds: ['firefox.desktop'], title: 'Mail - Firefox', info: {} },
+        { appIds: ['firefox.desktop'], title: 'News - Firefox', info: {} },
+        { appIds: ['xterm.desktop'], title: 'Mail', info: {} }
+    ];
+
+    it('lists the windows of the rule app whose title matches', () => {
+        let result = calcPinPreview({ appId: 'firefox.desktop', title: '^Mail', priority: 0 }, windows);
+        assert.equal(result.error, null);
+        assert.deepEqual(result.matches, [0]);
+    });
+
+    it('matches every app window without a title pattern', () => {
+        let result = calcPinPreview({ appId: 'firefox.desktop', priority: 0 }, windows);
+        assert.deepEqual(result.matches, [0, 1]);
+    });
+
+    it('reports the compile error for a bad pattern', () => {
+        let result = calcPinPreview({ appId: 'firefox.desktop', title: 'Mail (', priority: 0 }, windows);
+        assert.ok(result.error);
+        assert.deepEqual(result.matches, []);
+    });
+
+    it('reports rules parsePinRules would drop for other reasons', () => {
+        let result = calcPinPreview({ appId: 'firefox.desktop', priority: 0, workspace: -2 }, windows);
+        assert.equal(result.error, 'invalid rule');
+    });
+
+    it('previews under the rule match mode', () => {
+        let result = calcPinPreview({ appId: 'firefox.desktop', title: 'mail', match: 'regex-i', priority: 0 }, windows);
+        assert.deepEqual(result.matches, [0]);
+        result = calcPinPreview({ appId: 'firefox.desktop', title: '(', match: 'contains', priority: 0 }, windows);
+        assert.equal(result.error, null);
+    });
+
+    it('returns no matches when nothing is open', () => {
+        assert.deepEqual(calcPinPreview({ appId: 'a.desktop', priority: 0 }, []), { error: null, matches: [] });
+    });
+});
+
+describe('compileTitlePattern', () => {
+    it('defaults to a case-sensitive regex', () => {
+        assert.ok(compileTitlePattern('^Mail').test('Mail - Firefox'));
+        assert.ok(!compileTitlePattern('^mail').test('Mail - Firefox'));
+    });
+
+    it('ignores case in regex-i mode', () => {
+        assert.ok(compileTitlePattern('^mail', 'regex-i').test('Mail - Firefox'));
+    });
+
+    it('matches the whole title with glob wildcards', () => {
+        let re = compileTitlePattern('*.txt - ?edit', 'glob');
+        assert.ok(re.test('notes.txt - gedit'));
+        assert.ok(!re.test('notes.txt - gedit (2)'));
+        assert.ok(!re.test('notes_txt - gedit'));
+    });
+
+    it('treats contains and exact patterns literally', () => {
+        assert.ok(compileTitlePattern('(1)', 'contains').test('Inbox (1) - Mail'));
+        assert.ok(!compileTitlePattern('Inbox', 'exact').test('Inbox (1)'));
+        assert.ok(compileTitlePattern('a.b', 'exact').test('a.b'));
+        assert.ok(!compileTitlePattern('a.b', 'exact').test('axb'));
+    });
+
+    it('throws on a bad regex or unknown mode', () => {
+        assert.throws(() => compileTitlePattern('(', 'regex-i'));
+        assert.throws(() => compileTitlePattern('x', 'fuzzy'));
+    });
+
+    it('compiles every listed mode', () => {
+        for (let mode of TITLE_MATCH_MODES)
+            assert.ok(compileTitlePattern('Mail', mode).test('Mail'));
+    });
+});
+
+describe('calcLauncherRules', () => {
+    const rules = parsePinRules(JSON.stringify([
+        {appId: "firefox.desktop", priority: 0, launcher: true},
+        {appId: "code.desktop", title: "^proj", priority: 1, launcher: true},
+        {appId: "xterm.desktop", priority: 2}
+    ]));
+
+    it('returns every launcher rule when nothing is open', () => {
+        let result = calcLauncherRules(rules, []);
+        assert.deepEqual(result.map(r => r.appId), ['firefox.desktop', 'code.desktop']);
+    });
+
+    it('skips rules with a matching window', () => {
+        let result = calcLauncherRules(rules, [null, rules[0]]);
+        assert.deepEqual(result.map(r => r.appId), ['code.desktop']);
+    });
+
+    it('ignores rules without the launcher flag', () => {
+        let result = calcLauncherRules(rules, [rules[0], rules[1]]);
+        assert.deepEqual(result, []);
+    });
+
+    it('reserves one slot for rules sharing appId and priority', () => {
+        let dup = parsePinRules(JSON.stringify([
+            {appId: "a.desktop", title: "x", priority: 0, launcher: true},
+            {appId: "a.desktop", title: "y", priority: 0, launcher: true}
+        ]));
+        assert.equal(calcLauncherRules(dup, []).length, 1);
+        // A window matching either rule takes over the shared slot
+        assert.equal(calcLauncherRules(dup, [dup[1]]).length, 0);
+    });
+});
+
+describe('calcPinnedInsertionIndex', () => {
+    it('returns 0 for empty container', () => {
+        assert.equal(calcPinnedInsertionIndex([], 0, 'firefox.desktop'), 0);
+    });
+
+    it('inserts at start when priority is lower than all existing', () => {
+        let children = [
+            {pinPriority: 5, appId: 'terminal.desktop'},
+            {pinPriority: null, appId: 'nautilus.desktop'}
+        ];
+        assert.equal(calcPinnedInsertionIndex(children, 0, 'firefox.desktop'), 0);
+    });
+
+    it('inserts after existing pinned with lower priority', () => {
+        let children = [
+            {pinPriority: 0, appId: 'firefox.desktop'},
+            {pinPriority: null, appId: 'nautilus.desktop'}
+        ];
+        assert.equal(calcPinnedInsertionIndex(children, 5, 'terminal.desktop'), 1);
+    });
+
+    it('appends after last sibling with same priority+appId', () => {
+        let children = [
+            {pinPriority: 0, appId: 'firefox.desktop'},
+            {pinPriority: 0, appId: 'firefox.desktop'},
+            {pinPriority: 5, appId: 'terminal.desktop'},
+            {pinPriority: null, appId: 'nautilus.desktop'}
         ];
         assert.equal(calcPinnedInsertionIndex(children, 0, 'firefox.desktop'), 2);
     });
@@ -733,7 +1634,67 @@ describe('calcPinnedInsertionIndex', () => {
     });
 });
 
+describe('calcPinnedInsertionIndex — right anchor', () => {
+    const children = [
+        {pinPriority: 0, appId: 'firefox.desktop'},
+        {pinPriority: null, appId: 'nautilus.desktop'},
+        {pinPriority: 3, appId: 'slack.desktop', pinAnchor: 'right'},
+        {pinPriority: 0, appId: 'spotify.desktop', pinAnchor: 'right'}
+    ];
+
+    it('appends at the end when there is no right zone', () => {
+        assert.equal(calcPinnedInsertionIndex(children.slice(0, 2), 0, 'spotify.desktop', 'right'), 2);
+    });
+
+    it('places higher priority numbers further left', () => {
+        assert.equal(calcPinnedInsertionIndex(children, 5, 'chat.desktop', 'right'), 2);
+        assert.equal(calcPinnedInsertionIndex(children, 1, 'chat.desktop', 'right'), 3);
+    });
+
+    it('goes right after its same-app siblings', () => {
+        assert.equal(calcPinnedInsertionIndex(children, 3, 'slack.desktop', 'right'), 3);
+        assert.equal(calcPinnedInsertionIndex(children, 0, 'spotify.desktop', 'right'), 4);
+    });
+
+    it('keeps left pins out of the right zone', () => {
+        let leftOnly = [
+            {pinPriority: 0, appId: 'firefox.desktop'},
+            {pinPriority: 3, appId: 'slack.desktop', pinAnchor: 'right'}
+        ];
+        assert.equal(calcPinnedInsertionIndex(leftOnly, 5, 'term.desktop'), 1);
+    });
+});
+
+describe('calcPinnedZones', () => {
+    it('returns the bounds of the unpinned zone', () => {
+        let children = [
+            {pinPriority: 0}, {pinPriority: 1},
+            {pinPriority: null}, {pinPriority: null},
+            {pinPriority: 2, pinAnchor: 'right'}
+        ];
+        assert.deepEqual(calcPinnedZones(children), { leftEnd: 2, rightStart: 4 });
+    });
+
+    it('uses the full list when nothing is pinned', () => {
+        assert.deepEqual(calcPinnedZones([{pinPriority: null}, {pinPriority: null}]), { leftEnd: 0, rightStart: 2 });
+    });
+
+    it('treats an unpinned right anchor as unpinned', () => {
+        assert.deepEqual(calcPinnedZones([{pinPriority: null, pinAnchor: 'right'}]), { leftEnd: 0, rightStart: 1 });
+    });
+});
+
 describe('calcSortedButtonOrder', () => {
+    it('puts right-anchored pins last, priority 0 rightmost', () => {
+        let buttons = [
+            {pinPriority: 0, pinAnchor: 'right', appId: 'spotify', title: '', originalIndex: 0},
+            {pinPriority: null, appId: 'nautilus', title: '', originalIndex: 1},
+            {pinPriority: 2, pinAnchor: 'right', appId: 'slack', title: '', originalIndex: 2},
+            {pinPriority: 0, appId: 'firefox', title: '', originalIndex: 3}
+        ];
+        assert.deepEqual(calcSortedButtonOrder(buttons), [3, 1, 2, 0]);
+    });
+
     it('returns original order when no rules match (all unpinned)', () => {
         let buttons = [
             {pinPriority: null, appId: 'firefox', title: 'A', originalIndex: 0},
@@ -800,6 +1761,51 @@ describe('calcSortedButtonOrder', () => {
 });
 
 describe('buildEditorRules', () => {
+    it('writes the match mode only when it is not regex', () => {
+        let rows = [
+            { appId: 'a.desktop', title: 'x', priority: '0', match: 'regex' },
+            { appId: 'b.desktop', title: 'x', priority: '1', match: 'glob' }
+        ];
+        let rules = buildEditorRules(rows);
+        assert.equal(rules[0].match, undefined);
+        assert.equal(rules[1].match, 'glob');
+    });
+
+    it('writes the anchor only for right pins', () => {
+        let rows = [
+            { appId: 'a.desktop', title: '', priority: '0', anchor: 'right' },
+            { appId: 'b.desktop', title: '', priority: '0', anchor: 'left' }
+        ];
+        assert.deepEqual(buildEditorRules(rows), [
+            { appId: 'a.desktop', title: '', priority: 0, anchor: 'right' },
+            { appId: 'b.desktop', title: '', priority: 0 }
+        ]);
+    });
+
+    it('writes window fields only when set', () => {
+        let rows = [
+            { appId: 'a.desktop', title: '', priority: '0', wmClass: 'Foo', role: '',
+                workspace: '2', monitor: '', allWorkspaces: false },
+            { appId: 'b.desktop', title: '', priority: '1', wmClass: '', role: 'main',
+                workspace: 'x', monitor: '0', allWorkspaces: true }
+        ];
+        assert.deepEqual(buildEditorRules(rows), [
+            { appId: 'a.desktop', title: '', priority: 0, wmClass: 'Foo', workspace: 2 },
+            { appId: 'b.desktop', title: '', priority: 1, role: 'main', monitor: 0, allWorkspaces: true }
+        ]);
+    });
+
+    it('keeps the launcher flag only when set', () => {
+        let rows = [
+            { appId: 'a.desktop', title: '', priority: '0', launcher: true },
+            { appId: 'b.desktop', title: '', priority: '1', launcher: false }
+        ];
+        assert.deepEqual(buildEditorRules(rows), [
+            { appId: 'a.desktop', title: '', priority: 0, launcher: true },
+            { appId: 'b.desktop', title: '', priority: 1 }
+        ]);
+    });
+
     it('builds rules from valid editor row data', () => {
         let rows = [
             { appId: 'xterm.desktop', title: 'foo', priority: '0' },
@@ -858,6 +1864,212 @@ describe('buildEditorRules', () => {
     });
 });
 
+describe('parseTitleRewriteRules', () => {
+    it('parses rules with and without an app id', () => {
+        let rules = parseTitleRewriteRules(JSON.stringify([
+            { appId: 'firefox.desktop', pattern: ' \u2014 Mozilla Firefox$', replacement: '' },
+            { pattern: '^(\\S+)@', replacement: '$1 ' }
+        ]));
+        assert.equal(rules.length, 2);
+        assert.equal(rules[0].appId, 'firefox.desktop');
+        assert.equal(rules[1].appId, null);
+        assert.ok(rules[1].regex.global);
+    });
+
+    it('drops entries with a missing or invalid pattern', () => {
+        let rules = parseTitleRewriteRules(JSON.stringify([
+            { appId: 'a.desktop', replacement: 'x' },
+            { pattern: '(', replacement: '' },
+            { pattern: 'x', replacement: 3 },
+            { pattern: 'ok' }
+        ]));
+        assert.equal(rules.length, 1);
+        assert.equal(rules[0].replacement, '');
+    });
+
+    it('returns empty array for invalid JSON or a non-array', () => {
+        assert.deepEqual(parseTitleRewriteRules('nope'), []);
+        assert.deepEqual(parseTitleRewriteRules('{}'), []);
+    });
+});
+
+describe('applyTitleRewrites', () => {
+    const rules = parseTitleRewriteRules(JSON.stringify([
+        { appId: 'firefox.desktop', pattern: ' \u2014 Mozilla Firefox$', replacement: '' },
+        { pattern: 'Untitled', replacement: 'New' },
+        { appId: 'xterm.desktop', pattern: '^(\\w+)@\\w+: ', replacement: '$1: ' }
+    ]));
+
+    it('strips an app suffix only for that app', () => {
+        assert.equal(applyTitleRewrites(rules, 'firefox.desktop', 'Mail \u2014 Mozilla Firefox'), 'Mail');
+        assert.equal(applyTitleRewrites(rules, 'code.desktop', 'Mail \u2014 Mozilla Firefox'), 'Mail \u2014 Mozilla Firefox');
+    });
+
+    it('applies rules for all apps and in order', () => {
+        assert.equal(applyTitleRewrites(rules, 'firefox.desktop', 'Untitled \u2014 Mozilla Firefox'), 'New');
+    });
+
+    it('supports group references and app id candidates', () => {
+        assert.equal(applyTitleRewrites(rules, ['window:3', 'xterm.desktop'], 'user@host: ~/src'), 'user: ~/src');
+    });
+
+    it('keeps the title when a rewrite would blank it', () => {
+        let blank = parseTitleRewriteRules('[{"pattern":".*","replacement":""}]');
+        assert.equal(applyTitleRewrites(blank, 'a.desktop', 'Title'), 'Title');
+    });
+
+    it('returns the title unchanged without rules', () => {
+        assert.equal(applyTitleRewrites([], 'a.desktop', 'Title'), 'Title');
+    });
+});
+
+describe('formatWindowLabel', () => {
+    const values = { title: 'Mail', app: 'Firefox', workspace: 2, 'workspace-name': 'Work', monitor: 1, pid: 4242, state: '' };
+
+    it('fills tokens', () => {
+        assert.equal(formatWindowLabel('{app}: {title}', values), 'Firefox: Mail');
+        assert.equal(formatWindowLabel('{workspace} {title}', values), '2 Mail');
+        assert.equal(formatWindowLabel('{title} ({pid})', values), 'Mail (4242)');
+        assert.equal(formatWindowLabel('{workspace-name}/{monitor}', values), 'Work/1');
+    });
+
+    it('drops empty tokens and the brackets they leave', () => {
+        assert.equal(formatWindowLabel('{title} ({pid}) [{state}]', { title: 'Mail', pid: null, state: '' }), 'Mail');
+    });
+
+    it('keeps unknown tokens and collapses whitespace', () => {
+        assert.equal(formatWindowLabel('  {title}   {nope} ', values), 'Mail {nope}');
+    });
+});
+
+describe('buildWindowLabel', () => {
+    const formats = { label: '{title}', minimized: '[{label}]', tiled: '|{label}' };
+
+    it('keeps the classic decorations by default', () => {
+        assert.equal(buildWindowLabel(formats, { title: 'Mail', state: '' }), 'Mail');
+        assert.equal(buildWindowLabel(formats, { title: 'Mail', state: 'minimized' }), '[Mail]');
+        assert.equal(buildWindowLabel(formats, { title: 'Mail', state: 'tiled' }), '|Mail');
+        assert.equal(buildWindowLabel(formats, { title: 'Mail', state: 'maximized' }), 'Mail');
+    });
+
+    it('wraps the filled template in the state format', () => {
+        let custom = { label: '{app}: {title}', minimized: '{label} (min)', tiled: '' };
+        assert.equal(buildWindowLabel(custom, { title: 'Mail', app: 'Firefox', state: 'minimized' }), 'Firefox: Mail (min)');
+        assert.equal(buildWindowLabel(custom, { title: 'Mail', app: 'Firefox', state: 'tiled' }), 'Firefox: Mail');
+    });
+
+    it('falls back to the title when the template empties', () => {
+        assert.equal(buildWindowLabel({ label: '{pid}' }, { title: 'Mail', pid: null, state: '' }), 'Mail');
+        assert.equal(buildWindowLabel({ label: '' }, { title: 'Mail', state: '' }), 'Mail');
+    });
+});
+
+describe('calcDistinctiveTitles', () => {
+    it('strips a shared terminal prompt prefix at a path boundary', () => {
+        let result = calcDistinctiveTitles([
+            'alice@devbox: ~/proj/api',
+            'alice@devbox: ~/proj/web',
+            'alice@devbox: ~/proj/web/src/components'
+        ]);
+        assert.deepEqual(result.parts, ['\u2026api', '\u2026web', '\u2026web/src/components']);
+        assert.equal(result.ellipsize, 'end');
+    });
+
+    it('strips a shared browser suffix', () => {
+        let result = calcDistinctiveTitles([
+            'Inbox (3) - alice@example.com - Mail \u2014 Mozilla Firefox',
+            'Pull requests \u00b7 GitHub \u2014 Mozilla Firefox'
+        ]);
+        assert.deepEqual(result.parts, ['Inbox (3) - alice@example.com - Mail\u2026', 'Pull requests \u00b7 GitHub\u2026']);
+    });
+
+    it('strips both ends of terminal titles', () => {
+        let result = calcDistinctiveTitles([
+            'tmux: alice@devbox: ~/api - Terminal',
+            'tmux: alice@devbox: ~/web - Terminal'
+        ]);
+        assert.deepEqual(result.parts, ['\u2026api\u2026', '\u2026web\u2026']);
+    });
+
+    it('keeps a shared prefix too short to be worth an ellipsis', () => {
+        let result = calcDistinctiveTitles([
+            '\u25cf main.rs - proj - Visual Studio Code',
+            '\u25cf lib.rs - proj - Visual Studio Code'
+        ]);
+        assert.deepEqual(result.parts, ['\u25cf main.rs\u2026', '\u25cf lib.rs\u2026']);
+    });
+
+    it('never cuts inside a word', () => {
+        let result = calcDistinctiveTitles(['Document1 - Writer', 'Document2 - Writer']);
+        assert.deepEqual(result.parts, ['Document1\u2026', 'Document2\u2026']);
+    });
+
+    it('keeps titles whole when a cut would empty one', () => {
+        let result = calcDistinctiveTitles(['Terminal', 'Terminal - build']);
+        assert.deepEqual(result.parts, ['Terminal', 'Terminal - build']);
+        assert.equal(result.ellipsize, 'start');
+    });
+
+    it('falls back to middle ellipsizing when nothing is shared', () => {
+        let result = calcDistinctiveTitles(['Spotify', 'Discord']);
+        assert.deepEqual(result.parts, ['Spotify', 'Discord']);
+        assert.equal(result.ellipsize, 'middle');
+    });
+
+    it('leaves single and identical titles alone', () => {
+        assert.deepEqual(calcDistinctiveTitles(['Mail']), { parts: ['Mail'], ellipsize: 'end' });
+        assert.deepEqual(calcDistinctiveTitles(['vim a.txt', 'vim a.txt']).parts, ['vim a.txt', 'vim a.txt']);
+        assert.deepEqual(calcDistinctiveTitles([]), { parts: [], ellipsize: 'end' });
+    });
+});
+
+describe('parseAppOverrides', () => {
+    it('parses label, width and icon overrides', () => {
+        let overrides = parseAppOverrides(JSON.stringify({
+            'rhythmbox.desktop': { label: false },
+            'code.desktop': { width: 2 },
+            'broken.desktop': { icon: 'utilities-terminal' }
+        }));
+        assert.deepEqual(overrides['rhythmbox.desktop'], { label: false, width: null, icon: null });
+        assert.equal(overrides['code.desktop'].width, 2);
+        assert.equal(overrides['broken.desktop'].icon, 'utilities-terminal');
+    });
+
+    it('clamps width and drops invalid fields and empty apps', () => {
+        let overrides = parseAppOverrides(JSON.stringify({
+            'a.desktop': { width: 10 },
+            'b.desktop': { width: 0.01, label: 'no' },
+            'c.desktop': { width: -1, icon: '' },
+            'd.desktop': 'wide'
+        }));
+        assert.equal(overrides['a.desktop'].width, 4);
+        assert.deepEqual(overrides['b.desktop'], { label: null, width: 0.25, icon: null });
+        assert.equal(overrides['c.desktop'], undefined);
+        assert.equal(overrides['d.desktop'], undefined);
+    });
+
+    it('returns empty object for invalid JSON or an array', () => {
+        assert.deepEqual(parseAppOverrides('nope'), {});
+        assert.deepEqual(parseAppOverrides('[]'), {});
+    });
+});
+
+describe('setAppOverride', () => {
+    it('sets a field without mutating the input', () => {
+        let raw = { 'a.desktop': { label: false } };
+        let result = setAppOverride(raw, 'a.desktop', 'width', 2);
+        assert.deepEqual(result, { 'a.desktop': { label: false, width: 2 } });
+        assert.deepEqual(raw, { 'a.desktop': { label: false } });
+    });
+
+    it('clears a field and drops the app once empty', () => {
+        let raw = { 'a.desktop': { label: false, width: 2 } };
+        let result = setAppOverride(raw, 'a.desktop', 'width', null);
+        assert.deepEqual(result, { 'a.desktop': { label: false } });
+        assert.deepEqual(setAppOverride(result, 'a.desktop', 'label', null), {});
+    });
+});
+
 describe('filterPinRule', () => {
     it('removes rule matching appId and priority', () => {
         let rules = [
@@ -918,6 +2130,394 @@ describe('filterPinRule', () => {
     });
 });
 
+describe('createCoalescedTask', () => {
+    // Stand-in for the GLib main loop: scheduled callbacks run on drain()
+    function fakeLoop() {
+        let sources = new Map();
+        let nextId = 1;
+        return {
+            schedule(fn) { sources.set(nextId, fn); return nextId++; },
+            unschedule(id) { sources.delete(id); },
+            drain() {
+                for (let [id, fn] of [...sources]) {
+                    sources.delete(id);
+                    fn();
+                }
+            },
+            get size() { return sources.size; },
+        };
+    }
+
+    it('reflows once for a burst of 40 window additions', () => {
+        let loop = fakeLoop();
+        let reflows = 0;
+        let task = createCoalescedTask(() => reflows++, loop.schedule, loop.unschedule);
+        for (let i = 0; i < 40; i++) task.queue();
+        assert.equal(loop.size, 1);
+        assert.equal(reflows, 0);
+        loop.drain();
+        assert.equal(reflows, 1);
+    });
+
+    it('reflows once per batch when windows arrive in several batches', () => {
+        let loop = fakeLoop();
+        let reflows = 0;
+        let task = createCoalescedTask(() => reflows++, loop.schedule, loop.unschedule);
+        for (let batch = 0; batch < 3; batch++) {
+            for (let i = 0; i < 10; i++) task.queue();
+            loop.drain();
+        }
+        assert.equal(reflows, 3);
+    });
+
+    it('queues again while the task runs', () => {
+        let loop = fakeLoop();
+        let reflows = 0;
+        let task = createCoalescedTask(() => {
+            reflows++;
+            if (reflows === 1) task.queue();
+        }, loop.schedule, loop.unschedule);
+        task.queue();
+        loop.drain();
+        assert.ok(task.isPending());
+        loop.drain();
+        assert.equal(reflows, 2);
+    });
+
+    it('drops a pending run on cancel', () => {
+        let loop = fakeLoop();
+        let reflows = 0;
+        let task = createCoalescedTask(() => reflows++, loop.schedule, loop.unschedule);
+        task.queue();
+        task.cancel();
+        assert.equal(task.isPending(), false);
+        loop.drain();
+        assert.equal(reflows, 0);
+    });
+});
+
+describe('calcIconOnlyMode', () => {
+    it('drops labels at the threshold in icon-only mode', () => {
+        assert.equal(calcIconOnlyMode(50, 150, 'icon-only', 10, 50), true);
+        assert.equal(calcIconOnlyMode(51, 150, 'icon-only', 10, 50), false);
+    });
+
+    it('keeps labels in the other modes, without buttons, or at the configured width', () => {
+        assert.equal(calcIconOnlyMode(40, 150, 'shrink', 10, 50), false);
+        assert.equal(calcIconOnlyMode(40, 150, 'icon-only', 0, 50), false);
+        assert.equal(calcIconOnlyMode(40, 40, 'icon-only', 1, 50), false);
+    });
+});
+
+describe('calcButtonLayout', () => {
+    const settings = { buttonWidth: 150, minWidth: 50, maxRows: 2, overflowMode: 'shrink' };
+    const buttons = (count, extra) => Array.from({ length: count }, () => Object.assign({}, extra));
+    const rightEdge = layout => Math.max(...layout.cells.filter(Boolean).map(c => c.x + c.width));
+
+    it('keeps the configured width while the buttons fit one row', () => {
+        let layout = calcButtonLayout({ width: 1000, height: 40, buttons: buttons(3), settings });
+        assert.equal(layout.rows, 1);
+        assert.equal(layout.buttonWidth, 150);
+        assert.deepEqual(layout.cells.map(c => c.x), [0, 150, 300]);
+        assert.deepEqual(layout.cells[0], { row: 0, x: 0, y: 0, width: 150, height: 40 });
+    });
+
+    it('keeps a theme border and margin inside the container', () => {
+        // 1px border and 3px margins each side: 8px per button beyond its content
+        let layout = calcButtonLayout({ width: 938, height: 60,
+            overhead: { horizontal: 8 }, buttons: buttons(20), settings });
+        assert.equal(layout.rows, 2);
+        assert.equal(layout.buttonWidth, 85);
+        assert.equal(layout.cells[0].width, 93);
+        assert.ok(rightEdge(layout) <= 938);
+        assert.ok(layout.cells.every(c => c.row < 2));
+    });
+
+    it('gives every row the same height, minus the vertical box model for content', () => {
+        let layout = calcButtonLayout({ width: 300, height: 65,
+            overhead: { horizontal: 0, vertical: 2, verticalMargin: 3 }, buttons: buttons(3), settings });
+        assert.equal(layout.rows, 2);
+        assert.equal(layout.rowHeight, 32);
+        assert.equal(layout.contentHeight, 27);
+        assert.deepEqual(layout.cells.map(c => c.y), [0, 0, 32]);
+    });
+
+    it('places buttons with a width of their own at that width', () => {
+        let layout = calcButtonLayout({ width: 300, height: 40,
+            buttons: [{ width: 200 }, { width: 80 }, { width: 120 }], settings });
+        assert.deepEqual(layout.cells.map(c => [c.row, c.x, c.width]), [[0, 0, 200], [0, 200, 80], [1, 0, 120]]);
+    });
+
+    it('scales the slot width by the width scale', () => {
+        let layout = calcButtonLayout({ width: 1000, height: 40,
+            buttons: [{ scale: 2 }, { scale: 0.5 }], settings });
+        assert.deepEqual(layout.cells.map(c => c.width), [300, 75]);
+    });
+
+    it('moves the last unpinned buttons into the overflow slot', () => {
+        let layout = calcButtonLayout({ width: 400, height: 40,
+            buttons: [{}, {}, {}, {}, {}, {}, { pinned: true, anchor: 'right' }],
+            settings: Object.assign({}, settings, { maxRows: 1, minWidth: 80, overflowMode: 'overflow' }) });
+        assert.equal(layout.overflowCount, 3);
+        assert.deepEqual(layout.cells.map(c => c !== null), [true, true, true, false, false, false, true]);
+        // The overflow button sits ahead of the right-anchored pin
+        assert.ok(layout.overflow.x > layout.cells[2].x);
+        assert.ok(layout.overflow.x < layout.cells[6].x);
+        assert.ok(rightEdge(layout) <= 400);
+    });
+
+    it('never overflows kept buttons', () => {
+        let layout = calcButtonLayout({ width: 160, height: 40,
+            buttons: [{}, {}, { keep: true }],
+            settings: Object.assign({}, settings, { maxRows: 1, minWidth: 80, overflowMode: 'overflow' }) });
+        assert.deepEqual(layout.cells.map(c => c !== null), [false, false, true]);
+    });
+
+    it('reports icon-only once icon-only mode shrinks buttons to the threshold', () => {
+        let layout = calcButtonLayout({ width: 400, height: 40, buttons: buttons(16),
+            settings: Object.assign({}, settings, { overflowMode: 'icon-only', iconOnlyWidth: 50 }) });
+        assert.equal(layout.buttonWidth, 50);
+        assert.equal(layout.iconOnly, true);
+    });
+
+    it('gives pinned buttons a row of their own, right pins flush right', () => {
+        let layout = calcButtonLayout({ width: 600, height: 60,
+            buttons: [{ pinned: true }, {}, {}, { pinned: true, anchor: 'right' }],
+            settings: Object.assign({}, settings, { pinnedRow: 'last' }) });
+        assert.equal(layout.pinnedRow, 'last');
+        assert.equal(layout.rows, 2);
+        assert.deepEqual(layout.cells.map(c => [c.row, c.x]), [[1, 0], [0, 0], [0, 150], [1, 450]]);
+    });
+
+    it('has no pinned row without a pinned button or a second row', () => {
+        let spec = { width: 600, height: 60, buttons: buttons(2), settings: Object.assign({}, settings, { pinnedRow: 'first' }) };
+        assert.equal(calcButtonLayout(spec).pinnedRow, null);
+        spec.buttons = [{ pinned: true }];
+        spec.settings.maxRows = 1;
+        assert.equal(calcButtonLayout(spec).pinnedRow, null);
+    });
+
+    it('fills columns top to bottom in column-major order', () => {
+        let layout = calcButtonLayout({ width: 400, height: 40, buttons: buttons(3),
+            settings: Object.assign({}, settings, { columnMajor: true }) });
+        assert.deepEqual(layout.cells.map(c => [c.row, c.x]), [[0, 0], [1, 0], [0, 150]]);
+    });
+
+    it('aligns and balances rows', () => {
+        let layout = calcButtonLayout({ width: 350, height: 40,
+            buttons: [{ width: 100 }, { width: 100 }, { width: 100 }, { width: 100 }],
+            settings: Object.assign({}, settings, { balanceRows: true, rowAlignment: 'right' }) });
+        assert.deepEqual(layout.cells.map(c => [c.row, c.x]), [[0, 150], [0, 250], [1, 150], [1, 250]]);
+    });
+
+    it('makes measured widths equal when homogeneous, leaving the pinned row alone', () => {
+        let layout = calcButtonLayout({ width: 600, height: 40,
+            buttons: [{ width: 60, pinned: true }, { width: 90 }, { width: 120 }],
+            settings: Object.assign({}, settings, { pinnedRow: 'first', homogeneous: true }) });
+        assert.deepEqual(layout.cells.map(c => c.width), [60, 120, 120]);
+    });
+
+    it('adds the rows that wider measured widths need', () => {
+        let layout = calcButtonLayout({ width: 300, height: 60,
+            buttons: [{ width: 250 }, { width: 250 }, { width: 250 }], settings });
+        assert.equal(layout.rows, 3);
+        assert.equal(layout.rowHeight, 20);
+        assert.deepEqual(layout.cells.map(c => c.y), [0, 20, 40]);
+    });
+
+    it('keeps the last pinned row below every other row', () => {
+        let layout = calcButtonLayout({ width: 300, height: 60,
+            buttons: [{ pinned: true }, { width: 250 }, { width: 250 }],
+            settings: Object.assign({}, settings, { pinnedRow: 'last' }) });
+        assert.deepEqual(layout.cells.map(c => c.row), [2, 0, 1]);
+    });
+
+    it('grows buttons to their titles with fitContent', () => {
+        let layout = calcButtonLayout({ width: 1000, height: 40,
+            buttons: [{ natural: 240 }, { natural: 90 }], settings: Object.assign({}, settings, { fitContent: true }) });
+        assert.deepEqual(layout.cells.map(c => c.width), [240, 150]);
+    });
+
+    it('packs variable widths into the rows', () => {
+        let variableWidth = { minWidth: 60, maxWidth: 300 };
+        let layout = calcButtonLayout({ width: 400, height: 40,
+            buttons: [{ natural: 250 }, { natural: 100 }, { natural: 40 }, {}],
+            settings: Object.assign({}, settings, { variableWidth: variableWidth }) });
+        assert.equal(layout.packed, true);
+        assert.equal(layout.rows, 2);
+        assert.deepEqual(layout.cells.map(c => c.width), [250, 100, 60, 150]);
+        assert.deepEqual(layout.cells.map(c => c.row), [0, 0, 1, 1]);
+    });
+
+    it('shrinks packed widths together until they fit', () => {
+        let layout = calcButtonLayout({ width: 400, height: 40,
+            buttons: [{ natural: 300 }, { natural: 300 }, { natural: 300 }],
+            settings: Object.assign({}, settings, { maxRows: 1, variableWidth: { minWidth: 60, maxWidth: 300 } }) });
+        assert.equal(layout.packed, true);
+        assert.equal(layout.rows, 1);
+        assert.ok(rightEdge(layout) <= 400);
+        assert.ok(layout.buttonWidth < 150);
+    });
+
+    it('falls back to equal slots when packing cannot fit', () => {
+        let layout = calcButtonLayout({ width: 100, height: 40,
+            buttons: [{ natural: 300 }, { natural: 300 }, { natural: 300 }],
+            settings: Object.assign({}, settings, { maxRows: 1, variableWidth: { minWidth: 60, maxWidth: 300 } }) });
+        assert.equal(layout.packed, false);
+        assert.deepEqual(layout.cells.map(c => c.width), [50, 50, 50]);
+    });
+
+    it('gives every workspace a row behind its label', () => {
+        let layout = calcButtonLayout({ width: 400, height: 60,
+            buttons: [{ workspace: 1 }, { workspace: 0 }, { workspace: 1 }, { workspace: null }],
+            settings: Object.assign({}, settings, { spacing: 2, workspaces: { count: 3, labelWidth: 40 } }) });
+        assert.equal(layout.rows, 3);
+        assert.deepEqual(layout.labels.map(l => [l.y, l.width]), [[0, 40], [20, 40], [40, 40]]);
+        // The fullest row holds three buttons in the 360 px beside the label;
+        // the button without a workspace joins the row before it
+        assert.equal(layout.buttonWidth, 120);
+        assert.deepEqual(layout.cells.map(c => [c.row, c.x]), [[1, 42], [0, 42], [1, 164], [1, 286]]);
+        assert.equal(layout.overflowCount, 0);
+    });
+
+    it('stacks buttons into columns on a vertical panel', () => {
+        let vertical = { vertical: true, buttonHeight: 30, minHeight: 16, maxRows: 2, overflowMode: 'shrink' };
+        let layout = calcButtonLayout({ width: 80, height: 100, buttons: buttons(5), settings: vertical });
+        assert.equal(layout.columns, 2);
+        assert.equal(layout.rowHeight, 30);
+        assert.deepEqual(layout.cells.map(c => [c.x, c.y, c.width]),
+            [[0, 0, 40], [0, 30, 40], [0, 60, 40], [40, 0, 40], [40, 30, 40]]);
+    });
+
+    it('shrinks vertical buttons once every column is full', () => {
+        let vertical = { vertical: true, buttonHeight: 30, minHeight: 16, maxRows: 2, overflowMode: 'icon-only', iconOnlyWidth: 50 };
+        let layout = calcButtonLayout({ width: 80, height: 100, buttons: buttons(10), settings: vertical });
+        assert.equal(layout.columns, 2);
+        assert.equal(layout.rowHeight, 20);
+        assert.equal(layout.iconOnly, true);
+        assert.ok(layout.cells.every(c => c.y + c.height <= 100));
+    });
+
+    it('overflows vertical buttons at their natural height', () => {
+        let vertical = { vertical: true, buttonHeight: 30, minHeight: 16, maxRows: 1, overflowMode: 'overflow' };
+        let layout = calcButtonLayout({ width: 40, height: 100, buttons: buttons(5), settings: vertical });
+        assert.equal(layout.overflowCount, 3);
+        assert.equal(layout.rowHeight, 30);
+        assert.deepEqual(layout.overflow, { row: 0, x: 0, y: 60, width: 40, height: 30 });
+    });
+});
+
+describe('calcTitleHashes', () => {
+    it('hashes each word, folding digit runs and case', () => {
+        let hashes = calcTitleHashes('Inbox (12)  - Mail');
+        assert.equal(hashes.length, 3);
+        assert.deepEqual(calcTitleHashes('inbox (3) - MAIL'), hashes);
+        assert.notDeepEqual(calcTitleHashes('Outbox (3) - Mail'), hashes);
+        assert.deepEqual(calcTitleHashes(null), []);
+    });
+
+    it('keeps no title text', () => {
+        let hashes = calcTitleHashes('Secret plans.odt - LibreOffice Writer');
+        assert.ok(hashes.every(hash => /^[0-9a-z]+$/.test(hash)));
+        assert.ok(!/secret|plans|writer/i.test(hashes.join(' ')));
+    });
+});
+
+describe('parseSavedWindowOrder', () => {
+    it('reads descriptors', () => {
+        let order = parseSavedWindowOrder(JSON.stringify([
+            { xid: 5, appId: 'firefox.desktop', wmClass: 'Firefox', words: ['a1', 'b2'], workspace: 1 }
+        ]));
+        assert.deepEqual(order, [{ xid: 5, appId: 'firefox.desktop', wmClass: 'Firefox', words: ['a1', 'b2'], workspace: 1 }]);
+    });
+
+    it('reads a title saved by an older version as its word hashes', () => {
+        let order = parseSavedWindowOrder('[{"appId": "mail", "title": "Inbox (#) - Mail"}]');
+        assert.deepEqual(order[0].words, calcTitleHashes('Inbox (3) - Mail'));
+        assert.equal(order[0].title, undefined);
+    });
+
+    it('reads the old xid::xid format', () => {
+        assert.deepEqual(parseSavedWindowOrder('12::34').map(d => d.xid), [12, 34]);
+        assert.equal(parseSavedWindowOrder('12::34')[0].appId, null);
+    });
+
+    it('drops malformed entries and input', () => {
+        assert.deepEqual(parseSavedWindowOrder(''), []);
+        assert.deepEqual(parseSavedWindowOrder('[not json'), []);
+        assert.equal(parseSavedWindowOrder('[{"xid": 1}, {"xid": -1}]').length, 1);
+        assert.deepEqual(parseSavedWindowOrder('[null, 3, {"title": "x"}, {"xid": "7"}]'), []);
+        assert.deepEqual(parseSavedWindowOrder('abc::'), []);
+    });
+});
+
+describe('matchSavedWindowOrder', () => {
+    const win = (appId, title, extra) => Object.assign({ xid: 0, appId: appId, wmClass: null, title: title, workspace: 0 }, extra);
+    const saved = (appId, title, extra) => Object.assign({ xid: null, appId: appId, wmClass: null,
+        words: title === null ? null : calcTitleHashes(title), workspace: null }, extra);
+
+    it('matches an XID seen again regardless of the rest', () => {
+        let slots = matchSavedWindowOrder(parseSavedWindowOrder('7::9'),
+            [win('a', 'x', { xid: 9 }), win('b', 'y', { xid: 7 })]);
+        assert.deepEqual(slots, [1, 0]);
+    });
+
+    it('leaves old-format slots unmatched without the XID', () => {
+        assert.deepEqual(matchSavedWindowOrder(parseSavedWindowOrder('7'), [win('a', 'x', { xid: 8 })]), [-1]);
+    });
+
+    it('matches by app after a restart, preferring the title words', () => {
+        let order = [saved('term', 'build'), saved('term', 'logs (#)'), saved('mail', 'Inbox')];
+        let slots = matchSavedWindowOrder(order,
+            [win('mail', 'Inbox'), win('term', 'logs (42)'), win('term', 'something else')]);
+        assert.deepEqual(slots, [2, 1, 0]);
+    });
+
+    it('counts a mostly shared title above a different one', () => {
+        let order = [saved('ed', 'a.txt - Editor'), saved('ed', 'notes.md draft - Editor')];
+        assert.deepEqual(matchSavedWindowOrder(order, [win('ed', 'notes.md - Editor')]), [1]);
+    });
+
+    it('breaks ties by workspace, then by slot order', () => {
+        let order = [saved('ed', null, { workspace: 0 }), saved('ed', null, { workspace: 2 })];
+        assert.deepEqual(matchSavedWindowOrder(order, [win('ed', 'x', { workspace: 2 })]), [1]);
+        assert.deepEqual(matchSavedWindowOrder(order, [win('ed', 'x', { workspace: 5 }), win('ed', 'y', { workspace: 5 })]), [0, 1]);
+    });
+
+    it('falls back to WM_CLASS, case-insensitively, for slots without an app id', () => {
+        let order = [{ xid: null, appId: null, wmClass: 'Gimp', words: null, workspace: null }];
+        assert.deepEqual(matchSavedWindowOrder(order, [win('gimp.desktop', 'x', { wmClass: 'gimp' })]), [0]);
+    });
+
+    it('skips taken slots and other apps', () => {
+        let order = [null, saved('a', 'x')];
+        assert.deepEqual(matchSavedWindowOrder(order, [win('b', 'x'), win('a', 'x')]), [-1, 1]);
+    });
+});
+
+describe('calcRestoredInsertionIndex', () => {
+    it('goes ahead of the first later slot', () => {
+        assert.equal(calcRestoredInsertionIndex([0, 4, -1], 2), 1);
+    });
+
+    it('goes after the last slot when none is later', () => {
+        assert.equal(calcRestoredInsertionIndex([0, -1, 1, -1], 3), 3);
+        assert.equal(calcRestoredInsertionIndex([-1, -1], 0), 0);
+    });
+});
+
+describe('mergeSavedWindowOrder', () => {
+    it('keeps untaken slots beside the slots before them', () => {
+        let merged = mergeSavedWindowOrder(['s0', null, 's2', null],
+            [{ descriptor: 'new', slot: -1 }, { descriptor: 'w1', slot: 1 }, { descriptor: 'w3', slot: 3 }]);
+        assert.deepEqual(merged, ['s0', 'new', 'w1', 's2', 'w3']);
+    });
+
+    it('is the open windows once every slot is taken', () => {
+        assert.deepEqual(mergeSavedWindowOrder([null], [{ descriptor: 'w0', slot: 0 }]), ['w0']);
+    });
+});
+
 describe('pin rules serialization bug', () => {
     it('parsePinRules output loses title field (has titleRegex instead)', () => {
         let json = '[{"appId":"x.desktop","title":"hello","priority":0}]';
@@ -34,7 +34,52 @@ describe('settings-schema.json', () => {
             assert.equal(s.type, 'spinbutton');
             assert.equal(s.default, 2);
             assert.equal(s.min, 1);
-            assert.equal(s.max, 4);
+            assert.equal(s.max, 8);
+        });
+
+        it('has overflow-mode radiogroup defaulting to icon-only', () => {
+            const s = schema['overflow-mode'];
+            assert.ok(s, 'missing overflow-mode');
+            assert.equal(s.type, 'radiogroup');
+            assert.equal(s.default, 'icon-only');
+            assert.deepEqual(Object.values(s.options).sort(), ['icon-only', 'overflow', 'shrink']);
+        });
+
+        it('has collapse-groups switch depending on group-windows', () => {
+            const s = schema['collapse-groups'];
+            assert.ok(s, 'missing collapse-groups');
+            assert.equal(s.type, 'switch');
+            assert.equal(s.default, false);
+            assert.equal(s.dependency, 'group-windows');
+        });
+
+        it('has collapse-threshold spinbutton depending on collapse-groups', () => {
+            const s = schema['collapse-threshold'];
+            assert.ok(s, 'missing collapse-threshold');
+            assert.equal(s.type, 'spinbutton');
+            assert.equal(s.default, 3);
+            assert.equal(s.min, 1);
+            assert.equal(s.dependency, 'collapse-groups');
+        });
+
+        it('has separate pixel and line minimum row heights', () => {
+            const px = schema['min-row-height'];
+            const lines = schema['min-row-height-lines'];
+            assert.equal(px.default, 24);
+            assert.equal(px.units, 'pixels');
+            assert.equal(px.dependency, 'min-row-height-unit=pixels');
+            assert.equal(lines.default, 1.5);
+            assert.equal(lines.step, 0.1);
+            assert.equal(lines.units, 'lines');
+            assert.equal(lines.dependency, 'min-row-height-unit=lines');
+        });
+
+        it('has workspace-rows switch depending on show-all-workspaces', () => {
+            const s = schema['workspace-rows'];
+            assert.ok(s, 'missing workspace-rows');
+            assert.equal(s.type, 'switch');
+            assert.equal(s.default, false);
+            assert.equal(s.dependency, 'show-all-workspaces');
         });
 
         it('has group-windows switch defaulting to true', () => {
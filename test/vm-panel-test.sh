@@ -15,6 +15,7 @@
 #   ./test/vm-panel-test.sh 0 1 10       # Run specific window counts only
 #   ./test/vm-panel-test.sh --right-zone 0 1 10   # Test in right zone (shared with other applets)
 #   ./test/vm-panel-test.sh --revert --right-zone  # Combined
+#   ./test/vm-panel-test.sh --reflow 40  # Batched additions: one reflow for 40 windows
 #
 # Each test case:
 #   1. Opens N xterm windows
@@ -624,15 +625,76 @@ run_test_case() {
     echo ""
 }
 
+# --- Reflow batching ---
+# Re-adds N open windows in one main-loop turn, as a session restore does,
+# and counts the recomputes, relayouts, launcher syncs and order saves that
+# follow. The coalesced reflow must run each once, whatever N is.
+run_reflow_batch_test() {
+    local window_count=$1
+    echo -e "${BOLD}Reflow batch: ${CYAN}${window_count} windows${NC}"
+
+    open_windows "$window_count"
+    sleep $((SETTLE_TIME + window_count / 10))
+
+    cinnamon_eval "
+        const AppletManager = imports.ui.appletManager;
+        let applet = AppletManager.getRunningInstancesForUuid(\"$APPLET_UUID\")[0];
+        let counts = { recompute: 0, relayout: 0, launchers: 0, saves: 0 };
+        global.__reflowCounts = counts;
+        let wrap = (obj, name, key) => {
+            let orig = obj[name];
+            obj[name] = function() { counts[key]++; return orig.apply(this, arguments); };
+        };
+        wrap(applet, '_recomputeAdaptiveRows', 'recompute');
+        wrap(applet, '_syncLaunchers', 'launchers');
+        wrap(applet, '_saveOrder', 'saves');
+        wrap(applet.manager, 'layout_changed', 'relayout');
+        let windows = applet._windows.map(w => w.metaWindow);
+        for (let mw of windows) applet._removeWindow(mw);
+        for (let mw of windows) applet._addWindow(mw, false);
+        windows.length
+    " >/dev/null
+    sleep 2
+
+    local counts
+    counts=$(cinnamon_eval "
+        const AppletManager = imports.ui.appletManager;
+        let applet = AppletManager.getRunningInstancesForUuid(\"$APPLET_UUID\")[0];
+        let counts = global.__reflowCounts;
+        delete applet._recomputeAdaptiveRows;
+        delete applet._syncLaunchers;
+        delete applet._saveOrder;
+        delete applet.manager.layout_changed;
+        delete global.__reflowCounts;
+        JSON.stringify(counts)
+    ")
+    for key in recompute relayout launchers saves; do
+        local value
+        value=$(json_field "$counts" "$key")
+        if [[ "$value" == "1" ]]; then
+            test_result "One $key for $window_count additions" "pass"
+        else
+            test_result "One $key for $window_count additions" "fail" "got $value"
+        fi
+    done
+
+    close_windows
+    sleep 1
+    echo ""
+}
+
 # --- Main ---
 main() {
     echo ""
     # Parse args
     local do_revert=false
+    local reflow=false
     local counts=()
     for arg in "$@"; do
         if [[ "$arg" == "--revert" ]]; then
             do_revert=true
+        elif [[ "$arg" == "--reflow" ]]; then
+            reflow=true
         elif [[ "$arg" == "--right-zone" ]]; then
             RIGHT_ZONE_MODE=true
         elif [[ "$arg" =~ ^[0-9]+$ ]]; then
@@ -640,7 +702,11 @@ main() {
         fi
     done
     if [[ ${#counts[@]} -eq 0 ]]; then
-        counts=("${DEFAULT_COUNTS[@]}")
+        if $reflow; then
+            counts=(40)
+        else
+            counts=("${DEFAULT_COUNTS[@]}")
+        fi
     fi
 
     local mode_label="center zone"
@@ -696,7 +762,11 @@ main() {
     fi
 
     for count in "${counts[@]}"; do
-        run_test_case "$count"
+        if $reflow; then
+            run_reflow_batch_test "$count"
+        else
+            run_test_case "$count"
+        fi
     done
 
     # --- Summary ---
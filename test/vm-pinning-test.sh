@@ -2,7 +2,7 @@
 # E2E test for window pinning feature.
 #
 # Verifies that pin rules correctly position windows at fixed taskbar positions,
-# survive Cinnamon restarts, and lock pinned windows from drag-and-drop.
+# survive Cinnamon restarts, and stay draggable so pins can be reordered.
 #
 # Prerequisites:
 #   - VM "cinnamon-dev" running (./vm/vm-ctl.sh start)
@@ -530,9 +530,9 @@ fi
 kill_test_windows
 
 # ============================================================
-# Scenario 5: Drag inhibit for pinned windows
+# Scenario 5: Pinned windows stay draggable (drag reorders pins)
 # ============================================================
-echo -e "\n${BOLD}Scenario 5: Drag inhibit on pinned windows${NC}"
+echo -e "\n${BOLD}Scenario 5: Pinned windows are draggable${NC}"
 
 set_pin_rules '[{"appId":"xterm.desktop","title":"PIN-TEST-LOCKED","priority":0}]'
 
@@ -556,10 +556,10 @@ else {
 }
 ")
 
-if [[ "$INHIBITED" == "true" ]]; then
-    test_result "Drag is inhibited on pinned window" pass
+if [[ "$INHIBITED" == "false" ]]; then
+    test_result "Drag is enabled on pinned window" pass
 else
-    test_result "Drag is inhibited on pinned window" fail "inhibit=$INHIBITED"
+    test_result "Drag is enabled on pinned window" fail "inhibit=$INHIBITED"
 fi
 
 kill_test_windows